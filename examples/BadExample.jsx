@@ -1,9 +1,12 @@
 import React from 'react';
 import { View, Text, Button, TextInput } from 'react-native';
+import { LABELS, ORDER_STATUS } from './labels';
 
 // This file contains many hardcoded strings that should be i18n'd
 
-export const BadExample = () => {
+const EMPTY_STATE = 'No orders yet'; // Should be detected (rendered below)
+
+export const BadExample = ({ status }) => {
   const [name, setName] = React.useState('');
 
   const getGreeting = () => {
@@ -45,7 +48,7 @@ export const BadExample = () => {
       {/* Multiple strings in attributes */}
       <Button
         title="Save Changes"
-        accessibilityLabel="Save your changes"
+        accessibilityLabel="Save your changes" // Should be detected (A11y Attribute)
       />
 
       {/* Nested JSX with strings */}
@@ -79,6 +82,13 @@ export const BadExample = () => {
       <Text>Loading...</Text>
       <Text>Success!</Text>
       <Text>Failed to load data</Text>
+
+      {/* Constants, reported where they are defined */}
+      <Text>{EMPTY_STATE}</Text>
+      <Button title={LABELS.signUp} />
+      <Text>{LABELS.terms}</Text>
+      <Text>{LABELS.supportUrl}</Text>
+      <Text>{ORDER_STATUS[status]}</Text>
     </View>
   );
 };
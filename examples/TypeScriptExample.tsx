@@ -1,5 +1,5 @@
 import React from 'react';
-import { View, Text, Button, TextInput, StyleSheet } from 'react-native';
+import { View, Text, Button, TextInput, StyleSheet, Alert } from 'react-native';
 
 // TypeScript example with hardcoded strings
 
@@ -20,7 +20,12 @@ export const TypeScriptFunctional: React.FC<Props> = ({ userName, isLoggedIn })
   const handleSubmit = (): void => {
     if (!email) {
       setError("Email is required"); // Should be detected
+      return;
     }
+
+    Alert.alert("Check your inbox", `We sent a link to ${email}`, [ // Should be detected
+      { text: "Open mail app" }, // Should be detected
+    ]);
   };
 
   const getMessage = (): string => {
@@ -58,6 +63,9 @@ export const TypeScriptFunctional: React.FC<Props> = ({ userName, isLoggedIn })
       {/* Function call */}
       <Text>{getMessage()}</Text>
 
+      {/* Technical values: detected with a low confidence, hidden by --min-confidence */}
+      <DatePicker format="YYYY-MM-DD" mode="date-time" />
+
       {/* Type annotations shouldn't interfere */}
       <Text>{"Total items: " + (10 as number)}</Text>
 
@@ -103,6 +111,12 @@ export class TypeScriptClass extends React.Component<Props, State> {
     this.setState({ message: "Settings updated" });
   };
 
+  private loadProfile(): void {
+    if (!this.props.userName) {
+      throw new Error("Profile could not be loaded"); // Should be detected
+    }
+  }
+
   private getStatusText(): string {
     return this.props.isLoggedIn
       ? "You are logged in"
@@ -0,0 +1,14 @@
+// Shared labels and messages, rendered by BadExample.jsx
+
+export const LABELS = {
+  signUp: 'Create an account', // Should be detected (rendered in BadExample.jsx)
+  terms: 'Terms of Service', // Should be detected (rendered in BadExample.jsx)
+  supportUrl: 'https://example.com/support', // Technical string, not detected
+};
+
+export const ORDER_STATUS = {
+  pending: 'Waiting for payment', // Should be detected (rendered with ORDER_STATUS[status])
+  shipped: 'On its way', // Should be detected
+};
+
+export const API_TIMEOUT_MESSAGE = 'The server took too long to respond'; // Not rendered, not detected
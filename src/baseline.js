@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Bumped when fingerprints are computed differently
+ */
+const BASELINE_VERSION = 1;
+
+/**
+ * Path of a result relative to the scanned root, with `/` separators on every OS
+ */
+function getRelativeFile(result, rootPath) {
+  return path.relative(rootPath, result.file).split(path.sep).join('/');
+}
+
+/**
+ * Fingerprint a finding by file, string and context, so it survives line number changes
+ */
+export function getFingerprint(result, rootPath) {
+  return crypto
+    .createHash('sha1')
+    .update(`${getRelativeFile(result, rootPath)}\0${result.value}\0${result.context}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Group results by fingerprint, keeping every occurrence
+ */
+function groupByFingerprint(results, rootPath) {
+  const groups = new Map();
+  results.forEach((result) => {
+    const fingerprint = getFingerprint(result, rootPath);
+    if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+    groups.get(fingerprint).push(result);
+  });
+  return groups;
+}
+
+/**
+ * Build a baseline of the current findings. The same string repeated in a file is counted,
+ * so adding another copy of it is still reported.
+ */
+export function createBaseline(results, rootPath) {
+  const entries = [];
+  groupByFingerprint(results, rootPath).forEach((group, fingerprint) => {
+    entries.push({
+      fingerprint,
+      file: getRelativeFile(group[0], rootPath),
+      type: group[0].type,
+      value: group[0].value,
+      context: group[0].context,
+      count: group.length,
+    });
+  });
+
+  entries.sort((a, b) => a.file.localeCompare(b.file) || a.value.localeCompare(b.value) ||
+    a.fingerprint.localeCompare(b.fingerprint));
+
+  return { version: BASELINE_VERSION, entries };
+}
+
+/**
+ * Split results into new findings and baselined ones, and find the baseline entries
+ * (or repeated occurrences) that have been fixed since. `hiddenResults` are findings the scan left out
+ * (lines outside the diff, below minConfidence) that still take up their baseline entries, and entries
+ * of files outside `isFileInScope` weren't scanned, so they aren't reported as fixed.
+ */
+export function compareWithBaseline(results, baseline, rootPath, options = {}) {
+  const { hiddenResults = [], isFileInScope = () => true } = options;
+  const newResults = [];
+  const baselinedResults = [];
+  const fixedEntries = [];
+  const groups = groupByFingerprint(results, rootPath);
+  const hidden = groupByFingerprint(hiddenResults, rootPath);
+  const entries = new Map(baseline.entries.map((entry) => [entry.fingerprint, entry]));
+  const hiddenCount = (fingerprint) => (hidden.has(fingerprint) ? hidden.get(fingerprint).length : 0);
+
+  groups.forEach((group, fingerprint) => {
+    const entry = entries.get(fingerprint);
+    const allowed = entry ? Math.max(0, entry.count - hiddenCount(fingerprint)) : 0;
+    baselinedResults.push(...group.slice(0, allowed));
+    newResults.push(...group.slice(allowed));
+  });
+
+  entries.forEach((entry, fingerprint) => {
+    if (!isFileInScope(entry.file)) return;
+
+    const remaining = (groups.has(fingerprint) ? groups.get(fingerprint).length : 0) + hiddenCount(fingerprint);
+    if (remaining < entry.count) {
+      fixedEntries.push({ ...entry, count: entry.count - remaining });
+    }
+  });
+
+  // Keep scan order for the report
+  const order = new Map(results.map((result, index) => [result, index]));
+  newResults.sort((a, b) => order.get(a) - order.get(b));
+
+  return { newResults, baselinedResults, fixedEntries };
+}
+
+/**
+ * Baseline with only the entries that are still present: fixed strings are dropped, new ones aren't added
+ */
+export function pruneBaseline(baseline, results, rootPath) {
+  const groups = groupByFingerprint(results, rootPath);
+  const entries = baseline.entries
+    .filter((entry) => groups.has(entry.fingerprint))
+    .map((entry) => ({ ...entry, count: Math.min(entry.count, groups.get(entry.fingerprint).length) }));
+
+  return { version: BASELINE_VERSION, entries };
+}
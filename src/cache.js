@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { PACKAGE_VERSION } from './version.js';
+
+/**
+ * Bumped when the shape of cached entries or the results of analyzing a file change
+ */
+const CACHE_VERSION = 11;
+
+const CACHE_FILE = 'cache.json';
+
+/**
+ * Hash file contents or a config
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Hash the effective config; RegExps are hashed by their source and flags
+ */
+export function hashConfig(config) {
+  const serialized = JSON.stringify(config, (key, value) =>
+    (value instanceof RegExp ? value.toString() : value));
+  return hashContent(`${CACHE_VERSION}:${PACKAGE_VERSION}:${serialized}`);
+}
+
+/**
+ * Per-file analysis results keyed by path and content hash.
+ * Kept in memory for the run, and persisted to `<location>/cache.json` when a location is given.
+ */
+export class ScanCache {
+  constructor(config, location = null) {
+    this.configHash = hashConfig(config);
+    this.location = location;
+    this.files = new Map();
+    this.dirty = false;
+
+    if (location) {
+      this.load();
+    }
+  }
+
+  /**
+   * Load persisted entries, dropping them all when the config or scanner changed
+   */
+  load() {
+    const cachePath = path.join(this.location, CACHE_FILE);
+    if (!fs.existsSync(cachePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      if (data.configHash !== this.configHash) {
+        this.dirty = true;
+        return;
+      }
+      this.files = new Map(Object.entries(data.files || {}));
+    } catch {
+      // A corrupt cache is rebuilt from scratch
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Get the cached analysis of a file if its content hasn't changed
+   */
+  get(filePath, hash) {
+    const entry = this.files.get(filePath);
+    return entry && entry.hash === hash ? entry.analysis : null;
+  }
+
+  set(filePath, hash, analysis) {
+    this.files.set(filePath, { hash, analysis });
+    this.dirty = true;
+  }
+
+  /**
+   * Write the cache to disk, leaving out files that no longer exist
+   */
+  save() {
+    if (!this.location || !this.dirty) return;
+
+    const files = {};
+    this.files.forEach((entry, filePath) => {
+      if (fs.existsSync(filePath)) {
+        files[filePath] = entry;
+      }
+    });
+
+    fs.mkdirSync(this.location, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.location, CACHE_FILE),
+      JSON.stringify({ configHash: this.configHash, files })
+    );
+    this.dirty = false;
+  }
+}
@@ -0,0 +1,455 @@
+import traverse from '@babel/traverse';
+import * as t from '@babel/types';
+
+/**
+ * Result types that are replaced by a plain `t('key')` call expression
+ */
+const EXPRESSION_TYPES = [
+  'JSX Attribute Expression',
+  'JSX Expression',
+  'Return Statement',
+  'Conditional Return',
+  'User-Facing String',
+  'JSX Constant',
+  'A11y Attribute',
+];
+
+/**
+ * Result types whose string attribute values (`alt="..."`) become `alt={t('key')}`
+ */
+const ATTRIBUTE_TYPES = ['JSX Attribute', 'A11y Attribute'];
+
+/**
+ * Result types whose template literals become a `t('key', { ...values })` call
+ */
+const TEMPLATE_TYPES = ['Template Literal in JSX', 'User-Facing String', 'JSX Constant', 'A11y Attribute'];
+
+/**
+ * Calls returning a translate function, besides the configured hook
+ */
+const TRANSLATE_FACTORIES = ['useTranslation', 'getFixedT'];
+
+/**
+ * Check if an existing binding of the translate function's name can be called with a key: destructured
+ * from the hook or `getFixedT()`, from props injected by `withTranslation`, the render prop of
+ * `<Translation>`, or imported. Other bindings, like `tags.map((t) => ...)` or a timer, are not.
+ */
+function isTranslateBinding(binding, hookName) {
+  if (binding.kind === 'module') return true;
+
+  const { node } = binding.path;
+  if (binding.kind === 'param') {
+    // ({ t }) => ... in a component wrapped in withTranslation()
+    if (t.isObjectPattern(node)) return true;
+
+    // <Translation>{(t) => ...}</Translation>
+    const container = binding.path.parentPath.parentPath;
+    const element = container && t.isJSXExpressionContainer(container.node) ? container.parent : null;
+    return t.isJSXElement(element) && t.isJSXIdentifier(element.openingElement.name, { name: 'Translation' });
+  }
+
+  if (!t.isVariableDeclarator(node)) return false;
+
+  const init = t.isAwaitExpression(node.init) ? node.init.argument : node.init;
+  if (t.isCallExpression(init)) {
+    const factory = t.isMemberExpression(init.callee) ? init.callee.property : init.callee;
+    return t.isIdentifier(factory) && (factory.name === hookName || TRANSLATE_FACTORIES.includes(factory.name));
+  }
+
+  // const { t } = props, const { t } = this.props
+  return t.isObjectPattern(node.id) && (t.isIdentifier(init, { name: 'props' }) ||
+    (t.isMemberExpression(init) && t.isThisExpression(init.object) && t.isIdentifier(init.property, { name: 'props' })));
+}
+
+/**
+ * Get the name a function is known by (declaration, variable or wrapped in memo/forwardRef)
+ */
+function getFunctionName(path) {
+  const node = path.node;
+
+  if (node.id && t.isIdentifier(node.id)) {
+    return node.id.name;
+  }
+
+  let parent = path.parentPath;
+
+  // React.memo(() => ...), forwardRef((props, ref) => ...)
+  while (parent && t.isCallExpression(parent.node)) {
+    parent = parent.parentPath;
+  }
+
+  if (parent && t.isVariableDeclarator(parent.node) && t.isIdentifier(parent.node.id)) {
+    return parent.node.id.name;
+  }
+
+  return null;
+}
+
+/**
+ * Find the function component enclosing a path.
+ * Returns null for class components (hooks can't be used there) and module-level code.
+ */
+function findComponentFunction(path) {
+  let current = path.parentPath;
+
+  while (current) {
+    if (t.isClassMethod(current.node) || t.isClassProperty(current.node)) {
+      return null;
+    }
+
+    if (t.isFunction(current.node)) {
+      const name = getFunctionName(current);
+      if (name && /^[A-Z]/.test(name)) {
+        return current;
+      }
+    }
+
+    current = current.parentPath;
+  }
+
+  return null;
+}
+
+/**
+ * Get the leading whitespace of the line containing an offset
+ */
+function getLineIndent(content, offset) {
+  const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+  return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Turn a template literal expression into an interpolation variable name
+ */
+function getInterpolationName(expression, index) {
+  if (t.isIdentifier(expression)) {
+    return expression.name;
+  }
+  if (t.isMemberExpression(expression) && !expression.computed && t.isIdentifier(expression.property)) {
+    return expression.property.name;
+  }
+  return `value${index}`;
+}
+
+/**
+ * Rewrite hardcoded strings in a parsed file to translation calls.
+ *
+ * Edits are applied to the original source text by offset, so formatting and
+ * comments outside the replaced nodes are left untouched.
+ *
+ * @param {object} ast - Babel AST of the file
+ * @param {string} content - Original file content
+ * @param {Array<{result: object, key: string}>} assignments - Findings of this file with their keys
+ * @param {object} options - functionName, hookName and importSource to insert
+ * @returns {{code: string, edits: Array<{start: number, end: number, text: string}>, replaced: Array,
+ *   skipped: Array, translations: object}}
+ */
+export function applyFixes(ast, content, assignments, options = {}) {
+  const {
+    functionName = 't',
+    hookName = 'useTranslation',
+    importSource = 'react-i18next',
+  } = options;
+
+  const byLocation = new Map();
+  assignments.forEach((assignment) => {
+    byLocation.set(`${assignment.result.line}:${assignment.result.column}`, assignment);
+  });
+
+  const edits = [];
+  const replaced = [];
+  const skipped = [];
+  const translations = {};
+  const handled = new Set();
+  const componentsNeedingHook = new Set();
+
+  const locationOf = (node) => `${node.loc?.start.line}:${node.loc?.start.column}`;
+  const call = (key, args = '') => `${functionName}('${key}'${args})`;
+
+  // Check that the translate function can be used at this path, scheduling a hook if needed
+  const prepareScope = (nodePath, assignment) => {
+    const binding = nodePath.scope.getBinding(functionName);
+    if (binding) {
+      if (isTranslateBinding(binding, hookName)) return true;
+
+      skipped.push({
+        ...assignment,
+        reason: `${functionName} in scope is not a translate function (line ${binding.identifier.loc?.start.line})`,
+      });
+      return false;
+    }
+
+    const component = findComponentFunction(nodePath);
+    if (!component) {
+      skipped.push({
+        ...assignment,
+        reason: `${functionName}() is not in scope and the string is not inside a function component`,
+      });
+      return false;
+    }
+
+    componentsNeedingHook.add(component);
+    return true;
+  };
+
+  const replace = (nodePath, assignment, start, end, text, message) => {
+    if (!prepareScope(nodePath, assignment)) return;
+
+    edits.push({ start, end, text });
+    replaced.push({ ...assignment, replacement: text.trim() });
+    translations[assignment.key] = message;
+  };
+
+  traverse.default(ast, {
+    JSXText(nodePath) {
+      const assignment = byLocation.get(locationOf(nodePath.node));
+      if (!assignment || assignment.result.type !== 'JSX Text') return;
+      handled.add(assignment);
+
+      const { start, end } = nodePath.node;
+      const raw = content.slice(start, end);
+      const leading = raw.match(/^\s*/)[0];
+      const trailing = raw.slice(leading.length).match(/\s*$/)[0];
+
+      replace(
+        nodePath,
+        assignment,
+        start,
+        end,
+        `${leading}{${call(assignment.key)}}${trailing}`,
+        assignment.result.value.replace(/\s+/g, ' ')
+      );
+    },
+
+    StringLiteral(nodePath) {
+      const assignment = byLocation.get(locationOf(nodePath.node));
+      if (!assignment) return;
+
+      const { type } = assignment.result;
+      const { start, end } = nodePath.node;
+
+      if (ATTRIBUTE_TYPES.includes(type) && t.isJSXAttribute(nodePath.parent)) {
+        handled.add(assignment);
+        replace(nodePath, assignment, start, end, `{${call(assignment.key)}}`, nodePath.node.value);
+      } else if (EXPRESSION_TYPES.includes(type)) {
+        handled.add(assignment);
+        replace(nodePath, assignment, start, end, call(assignment.key), nodePath.node.value);
+      }
+    },
+
+    TemplateLiteral(nodePath) {
+      const { quasis, expressions } = nodePath.node;
+      const matches = quasis
+        .map((quasi) => byLocation.get(locationOf(quasi)))
+        .filter((assignment) => assignment && TEMPLATE_TYPES.includes(assignment.result.type));
+
+      if (matches.length === 0) return;
+      matches.forEach((assignment) => handled.add(assignment));
+
+      // One call per literal: the first matched quasi names the key
+      const assignment = matches[0];
+      const names = [];
+      let message = '';
+
+      quasis.forEach((quasi, index) => {
+        message += quasi.value.cooked ?? quasi.value.raw;
+        if (index < expressions.length) {
+          let name = getInterpolationName(expressions[index], index);
+          while (names.some((entry) => entry.name === name)) {
+            name = `${name}${index}`;
+          }
+          names.push({ name, expression: expressions[index] });
+          message += `{{${name}}}`;
+        }
+      });
+
+      const values = names.map(({ name, expression }) => {
+        const source = content.slice(expression.start, expression.end);
+        return source === name ? name : `${name}: ${source}`;
+      });
+      const args = values.length > 0 ? `, { ${values.join(', ')} }` : '';
+
+      const { start, end } = nodePath.node;
+      replace(nodePath, assignment, start, end, call(assignment.key, args), message.trim());
+    },
+  });
+
+  assignments.forEach((assignment) => {
+    if (!handled.has(assignment)) {
+      skipped.push({ ...assignment, reason: 'No matching node found for this finding' });
+    }
+  });
+
+  // Insert the hook at the top of every component that needs it
+  componentsNeedingHook.forEach((component) => {
+    const { body } = component.node;
+    const hook = `const { ${functionName} } = ${hookName}();`;
+
+    if (t.isBlockStatement(body)) {
+      if (body.body.length === 0) return;
+      const first = body.body[0];
+      const indent = getLineIndent(content, first.start);
+      edits.push({ start: first.start, end: first.start, text: `${hook}\n${indent}` });
+      return;
+    }
+
+    // Expression body: `() => (...)` becomes `() => { const { t } = ...; return (...); }`
+    const outer = getLineIndent(content, component.node.start);
+    const inner = `${outer}  `;
+    const parenthesized = body.extra?.parenthesized;
+    const start = parenthesized ? body.extra.parenStart : body.start;
+    const end = parenthesized ? content.indexOf(')', body.end) + 1 : body.end;
+
+    edits.push({ start, end: start, text: `{\n${inner}${hook}\n${inner}return ` });
+    edits.push({ start: end, end, text: `;\n${outer}}` });
+  });
+
+  // Make sure the hook is imported
+  if (componentsNeedingHook.size > 0) {
+    let hasImport = false;
+    let sourceImport = null;
+    let lastImport = null;
+
+    ast.program.body.forEach((node) => {
+      if (!t.isImportDeclaration(node)) return;
+      lastImport = node;
+
+      if (node.specifiers.some((specifier) => specifier.local.name === hookName)) {
+        hasImport = true;
+      }
+      if (node.source.value === importSource &&
+          node.importKind !== 'type' &&
+          node.specifiers.some((specifier) => t.isImportSpecifier(specifier))) {
+        sourceImport = node;
+      }
+    });
+
+    if (!hasImport) {
+      if (sourceImport) {
+        const specifiers = sourceImport.specifiers.filter((specifier) => t.isImportSpecifier(specifier));
+        const last = specifiers[specifiers.length - 1];
+        edits.push({ start: last.end, end: last.end, text: `, ${hookName}` });
+      } else if (lastImport) {
+        edits.push({
+          start: lastImport.end,
+          end: lastImport.end,
+          text: `\nimport { ${hookName} } from '${importSource}';`,
+        });
+      } else {
+        const first = ast.program.body[0];
+        const start = first ? first.start : 0;
+        edits.push({ start, end: start, text: `import { ${hookName} } from '${importSource}';\n\n` });
+      }
+    }
+  }
+
+  // Apply edits back to front so earlier offsets stay valid
+  let code = content;
+  edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.index - a.index)
+    .forEach((edit) => {
+      code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+    });
+
+  return { code, edits, replaced, skipped, translations };
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ */
+export function createUnifiedDiff(oldText, newText, fileName, contextLines = 3) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+
+  // Skip the common prefix and suffix, then run an LCS on what is left
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length &&
+         oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+         oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Build the full line-by-line edit script
+  const script = [];
+  for (let i = 0; i < prefix; i++) script.push({ op: ' ', text: oldLines[i] });
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      script.push({ op: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      script.push({ op: '-', text: a[i] });
+      i++;
+    } else {
+      script.push({ op: '+', text: b[j] });
+      j++;
+    }
+  }
+
+  for (let k = oldLines.length - suffix; k < oldLines.length; k++) {
+    script.push({ op: ' ', text: oldLines[k] });
+  }
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+  let trailingContext = 0;
+
+  script.forEach((entry, index) => {
+    const isChange = entry.op !== ' ';
+    const nearChange = script
+      .slice(index + 1, index + 1 + contextLines)
+      .some((next) => next.op !== ' ');
+
+    if (!hunk && (isChange || nearChange)) {
+      hunk = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [] };
+      hunks.push(hunk);
+    }
+
+    if (hunk) {
+      hunk.lines.push(`${entry.op}${entry.text}`);
+      if (entry.op !== '+') hunk.oldCount++;
+      if (entry.op !== '-') hunk.newCount++;
+
+      trailingContext = isChange ? 0 : trailingContext + 1;
+      if (trailingContext >= contextLines && !nearChange) {
+        hunk = null;
+        trailingContext = 0;
+      }
+    }
+
+    if (entry.op !== '+') oldLine++;
+    if (entry.op !== '-') newLine++;
+  });
+
+  if (hunks.length === 0) return '';
+
+  const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  hunks.forEach((h) => {
+    output.push(`@@ -${h.oldStart},${h.oldCount} +${h.newStart},${h.newCount} @@`);
+    output.push(...h.lines);
+  });
+
+  return output.join('\n');
+}
@@ -0,0 +1,99 @@
+/**
+ * CSS and React Native style values, and React Native prop values, that read like words but are technical.
+ * Many are also plain English ("default", "large"), so they only count in technical attributes like
+ * `variant` or `barStyle`, and are matched case-sensitively, so a "Center" label isn't mistaken for `center`.
+ */
+const STYLE_VOCABULARY = new Set([
+  // Layout
+  'flex', 'flex-start', 'flex-end', 'center', 'stretch', 'baseline', 'space-between', 'space-around',
+  'space-evenly', 'row', 'row-reverse', 'column', 'column-reverse', 'wrap', 'nowrap', 'wrap-reverse',
+  'absolute', 'relative', 'fixed', 'sticky', 'static', 'block', 'inline', 'inline-block', 'grid', 'none',
+  'auto', 'hidden', 'visible', 'scroll', 'contain', 'cover', 'repeat', 'ltr', 'rtl', 'inherit', 'initial',
+  // Text
+  'bold', 'normal', 'italic', 'underline', 'line-through', 'uppercase', 'lowercase', 'capitalize',
+  'left', 'right', 'justify', 'top', 'bottom', 'middle', 'solid', 'dashed', 'dotted', 'transparent',
+  // React Native props
+  'box-none', 'box-only', 'numeric', 'number-pad', 'decimal-pad', 'phone-pad', 'email-address',
+  'light-content', 'dark-content', 'handled', 'always', 'never', 'ios', 'android', 'web', 'default',
+  'primary', 'secondary', 'small', 'medium', 'large', 'outlined', 'contained', 'fade', 'slide',
+  'portrait', 'landscape',
+]);
+
+/**
+ * Date format tokens (moment, date-fns, dayjs), e.g. `YYYY-MM-DD` or `h:mm a`. A separator or a run like
+ * `MMM` is required, and the AM/PM token must come last, so words like "Do" or "Has" don't match.
+ */
+const DATE_FORMAT_PATTERN = /^(?=.*[-/.:, ]|[YMD]{3,}$)(?:Y{2,4}|M{1,4}|D{1,2}|Do|d{1,4}|E{1,4}|H{1,2}|h{1,2}|m{1,2}|s{1,2}|S{1,3}|Z{1,2}|[-/.:, T])+(?: [Aa])?$/;
+
+/**
+ * Identifiers and keys: kebab-case, snake_case, dotted or with digits, e.g. `user-card`, `home.title`
+ */
+const TECHNICAL_TOKEN_PATTERN = /^(?:[a-z0-9]+(?:[-_.][a-z0-9]+)+|[a-zA-Z]+\d+[\w-]*)$/;
+
+/**
+ * Attribute names whose values are usually shown to users, or usually technical
+ */
+const USER_FACING_ATTRIBUTE_PATTERN = /(title|label|placeholder|alt|message|text|description|hint|tooltip|caption|heading|subtitle|error|helper)$/i;
+const TECHNICAL_ATTRIBUTE_PATTERN = /(type|mode|variant|size|color|icon|format|direction|align|position|kind|intent|appearance|method|target|rel|pattern|locale|lang|style)$/i;
+
+/**
+ * Elements that render prose, and elements whose content is code or markup
+ */
+const TEXT_COMPONENTS = new Set(['Text', 'Title', 'Label', 'Heading', 'Paragraph', 'Button', 'Link',
+  'p', 'span', 'label', 'button', 'a', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'em']);
+const TECHNICAL_COMPONENTS = new Set(['code', 'pre', 'kbd', 'samp', 'script', 'style', 'Code', 'Icon', 'Svg', 'Path']);
+
+/**
+ * Result types that are nearly always shown to users, or that catch more technical strings
+ */
+const TYPE_ADJUSTMENTS = {
+  'JSX Text': 0.1,
+  'A11y Attribute': 0.1,
+  'User-Facing String': 0.1,
+  'Return Statement': -0.1,
+  'Conditional Return': -0.1,
+};
+
+/**
+ * Estimate how likely a detected string is user-facing text rather than a technical value, from 0 to 1.
+ * `signals` holds the result type and, when known, the attribute name and the enclosing component.
+ */
+export function scoreConfidence(value, signals = {}) {
+  const { type, attribute, component } = signals;
+  const text = value.trim();
+  const technicalAttribute = Boolean(attribute) && TECHNICAL_ATTRIBUTE_PATTERN.test(attribute);
+
+  if ((technicalAttribute && STYLE_VOCABULARY.has(text)) || DATE_FORMAT_PATTERN.test(text)) {
+    return 0.05;
+  }
+
+  const words = text.split(/\s+/).filter((word) => /\p{L}/u.test(word));
+  const letters = (text.match(/[\p{L}\s]/gu) || []).length;
+  let score = 0.5;
+
+  if (words.length === 0) return 0.05;
+  if (words.length >= 3) score += 0.2;
+  else if (words.length === 2) score += 0.1;
+  if (/\s/.test(text)) score += 0.05;
+  if (/^\p{Lu}/u.test(text)) score += 0.1;
+  if (/[.!?…:]$/.test(text)) score += 0.15;
+
+  const letterRatio = letters / text.length;
+  if (letterRatio >= 0.85) score += 0.1;
+  else if (letterRatio < 0.6) score -= 0.25;
+
+  if (words.length === 1 && TECHNICAL_TOKEN_PATTERN.test(text)) score -= 0.35;
+
+  if (attribute) {
+    if (USER_FACING_ATTRIBUTE_PATTERN.test(attribute)) score += 0.15;
+    else if (technicalAttribute) score -= 0.3;
+  }
+  // Prose components only vouch for their children, not for props like <Button variant="...">
+  if (component) {
+    if (TECHNICAL_COMPONENTS.has(component)) score -= 0.3;
+    else if (!attribute && TEXT_COMPONENTS.has(component)) score += 0.1;
+  }
+  score += TYPE_ADJUSTMENTS[type] || 0;
+
+  return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
@@ -0,0 +1,143 @@
+import path from 'path';
+import * as t from '@babel/types';
+
+/**
+ * Path segment matching any property, for computed lookups like `LABELS[status]`
+ */
+export const ANY_PROPERTY = '*';
+
+/**
+ * Strip TypeScript wrappers such as `as const` and `satisfies Labels`
+ */
+function unwrap(node) {
+  let current = node;
+  while (t.isTSAsExpression(current) || t.isTSSatisfiesExpression(current) || t.isTSNonNullExpression(current)) {
+    current = current.expression;
+  }
+  return current;
+}
+
+/**
+ * Get the strings in a constant's initializer with their property paths, e.g.
+ * `{ nav: { save: 'Save' } }` gives `[{ path: ['nav', 'save'], value: 'Save' }]`
+ */
+export function getConstantStrings(node, prefix = []) {
+  const value = unwrap(node);
+
+  if (t.isStringLiteral(value)) {
+    return [{ path: prefix, value: value.value, line: value.loc?.start.line, column: value.loc?.start.column }];
+  }
+  if (t.isTemplateLiteral(value) && value.expressions.length === 0) {
+    const quasi = value.quasis[0];
+    return [{
+      path: prefix,
+      value: quasi.value.cooked ?? quasi.value.raw,
+      line: quasi.loc?.start.line,
+      column: quasi.loc?.start.column,
+    }];
+  }
+  if (t.isObjectExpression(value)) {
+    return value.properties.flatMap((prop) => {
+      if (!t.isObjectProperty(prop) || prop.computed) return [];
+      const key = t.isIdentifier(prop.key) ? prop.key.name : String(prop.key.value);
+      return getConstantStrings(prop.value, [...prefix, key]);
+    });
+  }
+  return [];
+}
+
+/**
+ * Get the identifier and property path of a reference like `LABELS.nav.save`.
+ * Computed properties other than string literals match any property. Null for other expressions.
+ */
+export function getReferencePath(node) {
+  if (t.isIdentifier(node)) return { name: node.name, path: [] };
+  if (!t.isMemberExpression(node) && !t.isOptionalMemberExpression(node)) return null;
+
+  const object = getReferencePath(node.object);
+  if (!object) return null;
+
+  let property = ANY_PROPERTY;
+  if (!node.computed && t.isIdentifier(node.property)) {
+    property = node.property.name;
+  } else if (t.isStringLiteral(node.property)) {
+    property = node.property.value;
+  }
+  return { name: object.name, path: [...object.path, property] };
+}
+
+/**
+ * Check if a constant string's path is what a reference path reads. References to a whole object
+ * (`{LABELS}`) don't match its strings.
+ */
+export function matchesReferencePath(stringPath, referencePath) {
+  return stringPath.length === referencePath.length &&
+    referencePath.every((segment, index) => segment === ANY_PROPERTY || segment === stringPath[index]);
+}
+
+/**
+ * Get the strings of a file's exported constants, keyed by export name in their path:
+ * `export const LABELS = {...}`, `export { LABELS as Labels }` and `export default {...}`.
+ * Only top-level `const` declarations are followed.
+ */
+export function getExportedStrings(ast) {
+  const constants = new Map();
+  ast.program.body.forEach((statement) => {
+    const declaration = t.isExportNamedDeclaration(statement) ? statement.declaration : statement;
+    if (t.isVariableDeclaration(declaration) && declaration.kind === 'const') {
+      declaration.declarations.forEach((declarator) => {
+        if (t.isIdentifier(declarator.id) && declarator.init) {
+          constants.set(declarator.id.name, declarator.init);
+        }
+      });
+    }
+  });
+
+  const exported = [];
+  const addExport = (exportName, node) => {
+    if (node) {
+      exported.push(...getConstantStrings(node, [exportName]));
+    }
+  };
+
+  ast.program.body.forEach((statement) => {
+    if (t.isExportNamedDeclaration(statement)) {
+      if (t.isVariableDeclaration(statement.declaration) && statement.declaration.kind === 'const') {
+        statement.declaration.declarations.forEach((declarator) => {
+          if (t.isIdentifier(declarator.id)) addExport(declarator.id.name, declarator.init);
+        });
+      } else if (!statement.source) {
+        statement.specifiers.forEach((specifier) => {
+          if (!t.isExportSpecifier(specifier)) return;
+          const exportName = t.isIdentifier(specifier.exported) ? specifier.exported.name : specifier.exported.value;
+          addExport(exportName, constants.get(specifier.local.name));
+        });
+      }
+    } else if (t.isExportDefaultDeclaration(statement)) {
+      const { declaration } = statement;
+      addExport('default', t.isIdentifier(declaration) ? constants.get(declaration.name) : declaration);
+    }
+  });
+
+  return exported;
+}
+
+/**
+ * Extensions tried when resolving an import without one, in bundler order
+ */
+const MODULE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+/**
+ * Resolve a relative import to one of the scanned files, or null. Package imports aren't followed.
+ */
+export function resolveModulePath(fromFile, source, isScanned) {
+  if (!source.startsWith('.')) return null;
+
+  const base = path.resolve(path.dirname(fromFile), source);
+  const candidates = [
+    base,
+    ...MODULE_EXTENSIONS.map((extension) => `${base}${extension}`),
+    ...MODULE_EXTENSIONS.map((extension) => path.join(base, `index${extension}`)),
+  ];
+  return candidates.find((candidate) => isScanned(candidate)) || null;
+}
@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { I18nStringFinder } from './index.js';
+import { RULES, getHardcodedRuleId } from './findings.js';
+import { PACKAGE_VERSION } from './version.js';
+
+/**
+ * Config file read from the working directory, unless `settings['i18n-finder'].config` points elsewhere
+ */
+const CONFIG_FILE = '.i18n-finder.config.json';
+
+const SETTINGS_KEY = 'i18n-finder';
+
+const finders = new Map(); // Config path -> { mtime, finder }
+const analyses = new WeakMap(); // SourceCode -> analysis of the file being linted
+const translationFiles = new Map(); // Translation path -> { mtime, defined }
+
+function getSourceCode(context) {
+  return context.sourceCode ?? context.getSourceCode();
+}
+
+function getCwd(context) {
+  return context.cwd ?? context.getCwd();
+}
+
+function getFilename(context) {
+  return context.filename ?? context.getFilename();
+}
+
+/**
+ * Get a file's modification time, or null when it doesn't exist
+ */
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the finder for the project's config, reloading it when the config file changes
+ */
+function getFinder(context) {
+  const settings = context.settings[SETTINGS_KEY] || {};
+  const configPath = path.resolve(getCwd(context), settings.config || CONFIG_FILE);
+  const mtime = getMtime(configPath);
+
+  const cached = finders.get(configPath);
+  if (cached && cached.mtime === mtime) {
+    return cached.finder;
+  }
+
+  const config = mtime !== null ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+  const finder = new I18nStringFinder(config);
+  finders.set(configPath, { mtime, finder });
+  return finder;
+}
+
+/**
+ * Analyze the file being linted once for all rules, with the same visitors as the CLI scan
+ */
+function getAnalysis(context) {
+  const sourceCode = getSourceCode(context);
+  if (!analyses.has(sourceCode)) {
+    const finder = getFinder(context);
+    const filePath = getFilename(context);
+    analyses.set(sourceCode, {
+      finder,
+      content: sourceCode.text,
+      analysis: finder.analyzeSource(filePath, sourceCode.text),
+      ast: null,
+    });
+  }
+  return analyses.get(sourceCode);
+}
+
+/**
+ * Suggestion that replaces a string with a `t()` call under a generated key, using the same
+ * key scheme and rewriting as `--fix`. Null when the string can't be rewritten automatically.
+ */
+function getWrapSuggestion(context, file, result) {
+  const { finder, content } = file;
+  file.ast = file.ast || finder.parseSource(content);
+
+  const { key, fix } = finder.fixResult(file.ast, content, result, getCwd(context));
+  if (fix.replaced.length === 0) return null;
+
+  return {
+    messageId: 'wrapInTranslation',
+    data: { call: `${finder.config.fixFunctionName}('${key}')` },
+    fix: (fixer) => fix.edits.map((edit) => fixer.replaceTextRange([edit.start, edit.end], edit.text)),
+  };
+}
+
+/**
+ * Rule reporting the hardcoded strings of one finding rule, e.g. `no-hardcoded-jsx-text`
+ */
+function createHardcodedRule(rule) {
+  return {
+    meta: {
+      type: 'suggestion',
+      hasSuggestions: true,
+      docs: { description: rule.description },
+      messages: {
+        hardcoded: 'Hardcoded string "{{value}}" ({{type}}) should be translated',
+        wrapInTranslation: 'Replace with {{call}}',
+      },
+      schema: [],
+    },
+    create(context) {
+      return {
+        'Program:exit'() {
+          const file = getAnalysis(context);
+          if (file.analysis.error) return;
+
+          file.analysis.results
+            .filter((result) => getHardcodedRuleId(result.type) === rule.id && file.finder.meetsMinConfidence(result))
+            .forEach((result) => {
+              const suggestion = getWrapSuggestion(context, file, result);
+              context.report({
+                loc: { line: result.line, column: result.column },
+                messageId: 'hardcoded',
+                data: { value: result.value, type: result.type },
+                suggest: suggestion ? [suggestion] : [],
+              });
+            });
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Load the keys of a translation file, reloading it when it changes
+ */
+function getDefinedKeys(finder, translationPath) {
+  const mtime = getMtime(translationPath);
+  const cached = translationFiles.get(translationPath);
+  if (cached && cached.mtime === mtime) {
+    return cached.defined;
+  }
+
+  const defined = mtime !== null ? finder.loadDefinedKeysFromFile(translationPath) : null;
+  translationFiles.set(translationPath, { mtime, defined });
+  return defined;
+}
+
+const noMissingTranslationKey = {
+  meta: {
+    type: 'problem',
+    docs: { description: RULES.find((rule) => rule.id === 'missing-key').description },
+    messages: {
+      missing: 'Translation key "{{key}}" is not defined in {{file}}',
+      noTranslationFile: 'Translation file {{file}} could not be read',
+    },
+    schema: [{
+      type: 'object',
+      properties: { translationFile: { type: 'string' } },
+      additionalProperties: false,
+    }],
+  },
+  create(context) {
+    const settings = context.settings[SETTINGS_KEY] || {};
+    const translationFile = (context.options[0] || {}).translationFile || settings.translationFile;
+
+    return {
+      'Program:exit'(node) {
+        if (!translationFile) return;
+
+        const file = getAnalysis(context);
+        if (file.analysis.error) return;
+
+        const translationPath = path.resolve(getCwd(context), translationFile);
+        let defined;
+        try {
+          defined = getDefinedKeys(file.finder, translationPath);
+        } catch {
+          defined = null;
+        }
+        if (!defined) {
+          context.report({ node, messageId: 'noTranslationFile', data: { file: translationFile } });
+          return;
+        }
+
+        // Dynamic keys can't be checked one by one and are left to --validate
+        const { usages } = file.finder.getKeyUsages(defined, file.analysis.usedKeys, []);
+        usages.forEach((keyInfo) => {
+          if (file.finder.resolveUsedKey(keyInfo, defined.definedKeys, defined.pluralGroups).length > 0) return;
+
+          context.report({
+            loc: { line: keyInfo.line, column: keyInfo.column },
+            messageId: 'missing',
+            data: { key: keyInfo.key, file: path.basename(translationFile) },
+          });
+        });
+      },
+    };
+  },
+};
+
+const rules = {
+  'no-missing-translation-key': noMissingTranslationKey,
+};
+RULES
+  .filter((rule) => rule.id.startsWith('hardcoded-'))
+  .forEach((rule) => {
+    rules[`no-${rule.id}`] = createHardcodedRule(rule);
+  });
+
+/**
+ * ESLint plugin running the scanner on each linted file: `no-hardcoded-*` rules per kind of string
+ * (with suggestions to replace them with `t()` calls) and `no-missing-translation-key`
+ */
+const plugin = {
+  meta: { name: 'i18n-fixer', version: PACKAGE_VERSION },
+  rules,
+  configs: {},
+};
+
+plugin.configs.recommended = {
+  plugins: { [SETTINGS_KEY]: plugin },
+  rules: Object.fromEntries(Object.keys(rules)
+    .filter((name) => name.startsWith('no-hardcoded-'))
+    .map((name) => [`${SETTINGS_KEY}/${name}`, 'warn'])),
+};
+
+export default plugin;
@@ -0,0 +1,162 @@
+import { getFingerprint } from './baseline.js';
+
+/**
+ * Rules every finding is reported under. Ids are stable so code scanning can track findings across runs.
+ */
+export const RULES = [
+  { id: 'hardcoded-jsx-text', level: 'warning', description: 'Hardcoded text in JSX should be translated' },
+  { id: 'hardcoded-attribute', level: 'warning', description: 'Hardcoded string in a JSX attribute should be translated' },
+  { id: 'hardcoded-expression', level: 'warning', description: 'Hardcoded string in a JSX expression should be translated' },
+  { id: 'hardcoded-template-literal', level: 'warning', description: 'Hardcoded template literal in JSX should be translated' },
+  { id: 'hardcoded-return', level: 'warning', description: 'Hardcoded string rendered by a component should be translated' },
+  { id: 'hardcoded-a11y', level: 'warning', description: 'Hardcoded screen-reader text (alt, aria-label, accessibilityLabel) should be translated' },
+  { id: 'hardcoded-constant', level: 'warning', description: 'Hardcoded string constant rendered in JSX should be translated' },
+  { id: 'hardcoded-sink', level: 'warning', description: 'Hardcoded string passed to an alert, toast, error or navigation title should be translated' },
+  { id: 'hardcoded-string', level: 'warning', description: 'Hardcoded user-facing string should be translated' },
+  { id: 'missing-key', level: 'error', description: 'Translation key is used in code but not defined' },
+  { id: 'unused-key', level: 'warning', description: 'Translation key is defined but not used in code' },
+  { id: 'missing-plural-form', level: 'warning', description: 'Plural form required by the locale is missing' },
+  { id: 'duplicate-key', level: 'error', description: 'Translation key is defined more than once' },
+  { id: 'duplicate-value', level: 'note', description: 'The same translation text exists under several keys' },
+  { id: 'unused-suppression', level: 'warning', description: 'Suppression comment no longer suppresses any string' },
+];
+
+/**
+ * Rule of each scan result type; other types fall back to `hardcoded-string`
+ */
+const TYPE_RULES = {
+  'JSX Text': 'hardcoded-jsx-text',
+  'JSX Attribute': 'hardcoded-attribute',
+  'JSX Attribute Expression': 'hardcoded-attribute',
+  'JSX Expression': 'hardcoded-expression',
+  'Template Literal in JSX': 'hardcoded-template-literal',
+  'Return Statement': 'hardcoded-return',
+  'Conditional Return': 'hardcoded-return',
+  'User-Facing String': 'hardcoded-sink',
+  'JSX Constant': 'hardcoded-constant',
+  'A11y Attribute': 'hardcoded-a11y',
+};
+
+/**
+ * Rule id of a scan result type
+ */
+export function getHardcodedRuleId(type) {
+  return TYPE_RULES[type] || 'hardcoded-string';
+}
+
+/**
+ * Create a finding; `type` groups findings in reports and defaults to the rule id
+ */
+function createFinding(ruleId, message, location) {
+  const rule = RULES.find((candidate) => candidate.id === ruleId);
+  return { ruleId, level: rule.level, type: ruleId, message, ...location };
+}
+
+/**
+ * Findings for hardcoded strings. Columns are converted from Babel's 0-based to 1-based.
+ * Constants are reported where they are defined, with the JSX rendering them as a related location.
+ */
+export function getScanFindings(results, rootPath) {
+  return results.map((result) => createFinding(
+    getHardcodedRuleId(result.type),
+    `Hardcoded string "${result.value}" (${result.type}) should be translated` +
+      `${result.usage ? `, rendered by ${result.context}` : ''}`,
+    {
+      type: result.type,
+      file: result.file,
+      line: result.line,
+      column: result.column !== undefined ? result.column + 1 : undefined,
+      fingerprint: getFingerprint(result, rootPath),
+      // Screen-reader attributes set to 'error' in a11yAttributes
+      ...(result.level && { level: result.level }),
+      ...(result.usage && {
+        related: {
+          file: result.usage.file,
+          line: result.usage.line,
+          column: result.usage.column + 1,
+          message: 'Rendered here',
+        },
+      }),
+    }
+  ));
+}
+
+/**
+ * Findings for `i18n-ignore` comments that don't suppress anything
+ */
+export function getSuppressionFindings(unusedSuppressions) {
+  return unusedSuppressions.map((suppression) => createFinding(
+    'unused-suppression',
+    `Unused "${suppression.directive}" comment${suppression.reason ? ` (${suppression.reason})` : ''}`,
+    {
+      file: suppression.file,
+      line: suppression.line,
+      column: suppression.column + 1,
+    }
+  ));
+}
+
+/**
+ * Findings for key validation. Missing keys point to the call site, unused keys and
+ * missing plural forms to the translation file via `keyLocations` (key -> { file, line, column }).
+ */
+export function getValidationFindings(validation, keyLocations, translationPath) {
+  const locate = (key) => keyLocations.get(key) || { file: translationPath };
+  const findings = [];
+
+  validation.missingKeys.forEach((keyInfo) => {
+    findings.push(createFinding('missing-key', `Translation key "${keyInfo.key}" is not defined`, {
+      file: keyInfo.file,
+      line: keyInfo.line,
+      column: keyInfo.column !== undefined ? keyInfo.column + 1 : undefined,
+    }));
+  });
+
+  validation.unusedKeys.forEach((key) => {
+    findings.push(createFinding('unused-key', `Translation key "${key}" is not used in code`, locate(key)));
+  });
+
+  validation.missingPluralForms.forEach((missing) => {
+    // Suffix forms don't exist yet, so point to the `other` form next to them
+    const location = missing.type === 'icu'
+      ? locate(missing.key)
+      : locate(missing.key.replace(/_(zero|one|two|few|many|other)$/, '_other'));
+    const message = missing.type === 'icu'
+      ? `"${missing.key}" lacks the "${missing.form}" case for {${missing.argument}}`
+      : `Plural form "${missing.key}" is missing`;
+    findings.push(createFinding('missing-plural-form', message, location));
+  });
+
+  return findings;
+}
+
+/**
+ * Findings for duplicate keys and values, located in the translation file
+ */
+export function getDuplicateFindings(duplicates, translationPath) {
+  const findings = [];
+
+  duplicates.duplicateKeys.forEach((duplicate) => {
+    const locations = duplicate.locations && duplicate.locations.length > 0
+      ? duplicate.locations.slice(1)
+      : [{}];
+    locations.forEach((location) => {
+      findings.push(createFinding('duplicate-key', `Translation key "${duplicate.key}" is defined more than once`, {
+        file: translationPath,
+        line: location.line,
+        column: location.column,
+      }));
+    });
+  });
+
+  duplicates.duplicateValues.forEach((duplicate) => {
+    const location = (duplicate.locations && duplicate.locations[0]) || {};
+    findings.push(createFinding(
+      'duplicate-value',
+      `"${duplicate.value}" is used by ${duplicate.keys.length} keys: ${duplicate.keys.join(', ')}`,
+      { file: translationPath, line: location.line, column: location.column }
+    ));
+  });
+
+  return findings;
+}
@@ -0,0 +1,104 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+/**
+ * Run git in `cwd` and return its output, with git's own message on failure
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 256 * 1024 * 1024,
+    });
+  } catch (error) {
+    const message = (error.stderr || '').trim().split('\n')[0] || error.message;
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+/**
+ * Parse `git diff --unified=0` output into file -> added line numbers.
+ * Files that only lost lines or were renamed keep an empty set.
+ */
+export function parseAddedLines(diff, rootPath) {
+  const files = new Map();
+  let current = null;
+  let inHeader = false;
+
+  diff.split('\n').forEach((line) => {
+    if (line.startsWith('diff --git ')) {
+      inHeader = true;
+      current = null;
+      return;
+    }
+
+    // `+++` is only a file name in the header; in a hunk it is an added line starting with `++`
+    if (inHeader && line.startsWith('+++ ')) {
+      const file = line.slice(4).replace(/\t$/, '');
+      current = file === '/dev/null' ? null : path.resolve(rootPath, file);
+      if (current) files.set(current, new Set());
+      return;
+    }
+
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk) {
+      inHeader = false;
+      if (!current) return;
+
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      for (let lineNumber = start; lineNumber < start + count; lineNumber++) {
+        files.get(current).add(lineNumber);
+      }
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Get the files under `rootPath` that changed, with their added lines (`null`: every line is new).
+ * `since` compares the working tree with the merge base of a ref, the way a pull request diff does,
+ * and includes untracked files. `staged` compares the index with HEAD, for pre-commit hooks.
+ */
+export function getDiffScope(rootPath, { since = null, staged = false } = {}) {
+  const diffArgs = ['diff', '--unified=0', '--no-color', '--no-ext-diff', '--no-prefix', '--relative', '--diff-filter=ACMR'];
+  let files;
+  let description;
+
+  try {
+    git(['rev-parse', '--is-inside-work-tree'], rootPath);
+  } catch {
+    throw new Error(`${rootPath} is not inside a git repository`);
+  }
+
+  if (staged) {
+    files = parseAddedLines(git([...diffArgs, '--cached'], rootPath), rootPath);
+    description = 'staged';
+  } else {
+    try {
+      git(['rev-parse', '--verify', `${since}^{commit}`], rootPath);
+    } catch (error) {
+      throw new Error(`Unknown git ref "${since}" (${error.message})`);
+    }
+
+    // Fall back to the ref itself when it shares no history with HEAD
+    let base = since;
+    try {
+      base = git(['merge-base', since, 'HEAD'], rootPath).trim();
+    } catch {
+      // Diff against the ref directly
+    }
+
+    files = parseAddedLines(git([...diffArgs, base, '--'], rootPath), rootPath);
+    git(['ls-files', '--others', '--exclude-standard'], rootPath)
+      .split('\n')
+      .filter(Boolean)
+      .forEach((file) => files.set(path.resolve(rootPath, file), null));
+    description = `changed since ${since}`;
+  }
+
+  return { files, description };
+}
@@ -1,19 +1,76 @@
 #!/usr/bin/env node
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { glob } from 'glob';
+import { minimatch } from 'minimatch';
 import parser from '@babel/parser';
 import traverse from '@babel/traverse';
 import * as t from '@babel/types';
 import chalk from 'chalk';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
+import { applyFixes, createUnifiedDiff } from './codemod.js';
+import { I18NEXT_OPTION_NAMES, comparePlaceholders, parsePlaceholders } from './placeholders.js';
+import {
+  findMissingPluralForms,
+  getLocaleFromPath,
+  getPluralCategories,
+  getPluralGroups,
+  getPluralKey,
+  parsePluralKey,
+} from './plurals.js';
+import { serializeTransChildren } from './trans.js';
+import { ScanCache, hashContent } from './cache.js';
+import { analyzeInWorkers } from './pool.js';
+import { compareWithBaseline, createBaseline, pruneBaseline } from './baseline.js';
+import { EXIT_CODES, evaluateThresholds, parseA11yLevels, parseFailOn, parseTypeLimits } from './thresholds.js';
+import {
+  getDuplicateFindings,
+  getScanFindings,
+  getSuppressionFindings,
+  getValidationFindings,
+} from './findings.js';
+import { loadReporter } from './reporters.js';
+import { getDiffScope } from './gitDiff.js';
+import { applySuppressions, getSuppressions } from './suppressions.js';
+import {
+  ANY_PROPERTY,
+  getConstantStrings,
+  getExportedStrings,
+  getReferencePath,
+  matchesReferencePath,
+  resolveModulePath,
+} from './constants.js';
+import { locateJsonKeys } from './jsonLocations.js';
+import { scoreConfidence } from './confidence.js';
+import { startLanguageServer } from './lsp.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Hooks and HOCs whose arguments are namespaces rather than keys
+const TRANSLATION_FACTORY_NAMES = ['useTranslation', 'withTranslation', 'useIntl', 'getFixedT'];
+
+// react-intl components and helpers that take message descriptors ({ id, defaultMessage, description })
+const INTL_MESSAGE_COMPONENTS = ['FormattedMessage', 'FormattedHTMLMessage'];
+const INTL_DEFINE_FUNCTIONS = ['defineMessages', 'defineMessage'];
+
+// react-i18next components whose children are translated
+const TRANS_COMPONENTS = ['Trans', 'Translation'];
+
+// Below this many files per worker, starting threads costs more than it saves
+const MIN_FILES_PER_WORKER = 20;
+
+// --fix leaves strings less likely than this to be user-facing (e.g. format="YYYY-MM-DD") unless
+// a minimum confidence is set explicitly
+const FIX_MIN_CONFIDENCE = 0.5;
+
+// Marks the parts of a key that are only known at runtime (shown as `*`)
+const KEY_WILDCARD = '\0';
+
 // Configuration
 const DEFAULT_CONFIG = {
   // Patterns to include
@@ -35,6 +92,9 @@ const DEFAULT_CONFIG = {
   // Minimum string length to consider (filters out single chars like ":" or "-")
   minStringLength: 2,
 
+  // Minimum confidence (0-1) that a string is user-facing text rather than a technical value, see src/confidence.js
+  minConfidence: 0,
+
   // Patterns that indicate a string is already internationalized
   i18nPatterns: [
     /^t\(/,           // t('key')
@@ -53,6 +113,7 @@ const DEFAULT_CONFIG = {
     'withTranslation',
     't',
     'translate',
+    'formatMessage',
     '__',
     '_',
   ],
@@ -77,8 +138,6 @@ const DEFAULT_CONFIG = {
   // JSX attribute names to exclude (typically not user-facing)
   excludeAttributeNames: [
     'testID',
-    'accessibilityLabel', // This might need i18n, but often excluded
-    'accessibilityHint',
     'key',
     'ref',
     'style',
@@ -90,25 +149,110 @@ const DEFAULT_CONFIG = {
     'defaultValue',
     'href',
     'src',
-    'alt', // This SHOULD be i18n'd but often contains descriptions
     'role',
-    'aria-label',
     'aria-describedby',
     'data-testid',
     'as',
   ],
+
+  // Screen-reader text attributes (React Native and web) and how their hardcoded strings are reported:
+  // 'error' fails the run, 'warn' reports them, 'ignore' skips them. Overrides excludeAttributeNames.
+  a11yAttributes: {
+    accessibilityLabel: 'warn',
+    accessibilityHint: 'warn',
+    alt: 'warn',
+    'aria-label': 'warn',
+    'aria-description': 'warn',
+    'aria-roledescription': 'warn',
+    'aria-valuetext': 'warn',
+    'aria-placeholder': 'warn',
+  },
+
+  // Rules for design-system components, keyed by element name (`Button`, `Form.Field`):
+  // `props` are always checked, `ignoreProps` never (`*` ignores every prop not in `props`), other props
+  // follow excludeAttributeNames; `children: false` marks text between the tags as not translatable.
+  // e.g. { "Button": { "props": ["label"], "ignoreProps": ["variant"] }, "Code": { "children": false } }
+  componentRules: {},
+
+  // Modules whose imports provide translate functions: libraries and project wrappers
+  // (a plain name also matches paths ending in it, e.g. 'i18n' matches './i18n' and '@/lib/i18n')
+  i18nModules: [
+    'react-i18next',
+    'i18next',
+    'next-i18next',
+    'react-intl',
+    'i18n-js',
+    'expo-localization',
+    'i18n',
+  ],
+
+  // Global translate functions that aren't imported (e.g. injected by a bundler)
+  i18nGlobals: [],
+
+  // i18next namespace used when a call doesn't name one, and the `ns:key` separator
+  defaultNamespace: 'translation',
+  nsSeparator: ':',
+
+  // Calls whose string arguments are shown to users outside JSX. `arguments` limits the checked
+  // positions; `toast.*` matches any method, and `navigation.setOptions` also matches `props.navigation.setOptions`.
+  // `Error` covers `throw new Error('...')`. `stateSetter` entries only match `useState` setters; other calls
+  // with that name, like react-hook-form's setError('email', { message }), only have userFacingProperties checked.
+  userFacingCalls: [
+    { callee: 'Alert.alert', arguments: [0, 1, 2] },
+    { callee: 'Alert.prompt', arguments: [0, 1, 2] },
+    { callee: 'alert' },
+    { callee: 'confirm' },
+    { callee: 'toast' },
+    { callee: 'toast.*' },
+    { callee: 'Toast.show' },
+    { callee: 'setError', stateSetter: true },
+    { callee: 'setErrorMessage' },
+    { callee: 'navigation.setOptions' },
+    { callee: 'Error' },
+  ],
+
+  // Object properties shown to users: in arguments of userFacingCalls and in objects passed to JSX
+  // attributes, e.g. <Stack.Screen options={{ title: 'Profile' }} />
+  userFacingProperties: [
+    'title',
+    'headerTitle',
+    'headerBackTitle',
+    'tabBarLabel',
+    'drawerLabel',
+    'message',
+    'description',
+    'text',
+    'text1',
+    'text2',
+  ],
+
+  // Translation function, hook and import source used by --fix
+  fixFunctionName: 't',
+  fixHookName: 'useTranslation',
+  fixImportSource: 'react-i18next',
 };
 
 class I18nStringFinder {
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    // Attribute levels are merged, so a config can change one attribute without listing the others
+    this.config.a11yAttributes = { ...DEFAULT_CONFIG.a11yAttributes, ...config.a11yAttributes };
     this.results = [];
     this.usedKeys = []; // Keys found in code
+    this.dynamicKeys = []; // Key patterns like `errors.*` from dynamic keys in code
+    this.i18nImportCache = new WeakMap(); // Program node -> whether it imports an i18n module
+    this.cache = new ScanCache(this.config); // Per-file analysis, shared by the string and key passes
+    this.fileAnalyses = new Map(); // File -> analysis, kept up to date in watch mode
+    this.diffScope = null; // Changed files (and added lines) the scan is limited to
+    this.hiddenResults = []; // Results outside the diff scope's lines or below minConfidence, for baselines
+    this.unusedSuppressions = []; // i18n-ignore comments that didn't suppress any string
+    this.concurrency = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
     this.stats = {
       filesScanned: 0,
       filesWithIssues: 0,
       totalStrings: 0,
       stringsByType: {},
+      belowMinConfidence: 0, // Results hidden by minConfidence
     };
   }
 
@@ -216,31 +360,155 @@ class I18nStringFinder {
     let current = path;
 
     while (current) {
-      if (t.isCallExpression(current.node)) {
-        const callee = current.node.callee;
+      if (t.isCallExpression(current.node) &&
+          (this.getI18nCallName(current) || this.isIntlDefineCall(current))) {
+        return true;
+      }
 
-        // Check if it's a direct function call like t() or translate()
-        if (t.isIdentifier(callee) &&
-            this.config.i18nFunctionNames.includes(callee.name)) {
-          return true;
-        }
+      // <FormattedMessage defaultMessage="..." /> and <Trans>...</Trans> are already translated
+      if (t.isJSXElement(current.node) &&
+          this.isI18nComponent(current.get('openingElement'), [...INTL_MESSAGE_COMPONENTS, ...TRANS_COMPONENTS])) {
+        return true;
+      }
 
-        // Check if it's a member expression like i18n.t()
-        if (t.isMemberExpression(callee)) {
-          const property = callee.property;
-          if (t.isIdentifier(property) &&
-              this.config.i18nFunctionNames.includes(property.name)) {
-            return true;
-          }
+      current = current.parentPath;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if an import source is a configured i18n library or project wrapper module
+   */
+  isI18nModule(source) {
+    const normalized = source.replace(/\/index$/, '').replace(/\.[jt]sx?$/, '');
+
+    return this.config.i18nModules.some((entry) => {
+      if (entry instanceof RegExp) return entry.test(source);
+      return normalized === entry || normalized.endsWith(`/${entry}`);
+    });
+  }
+
+  /**
+   * Check if the file imports anything from an i18n module
+   */
+  fileImportsI18n(path) {
+    const program = path.scope.getProgramParent().path.node;
+
+    if (!this.i18nImportCache.has(program)) {
+      this.i18nImportCache.set(program, program.body.some((node) =>
+        t.isImportDeclaration(node) && this.isI18nModule(node.source.value)));
+    }
+
+    return this.i18nImportCache.get(program);
+  }
+
+  /**
+   * Check if an expression evaluates to an i18n object or translate function,
+   * following variable bindings back to an i18n import or hook
+   */
+  isI18nValue(path, depth = 0) {
+    if (!path || !path.node || depth > 5) return false;
+    const node = path.node;
+
+    // useTranslation(), useIntl(), i18n.getFixedT(), i18n.t.bind(i18n)
+    if (t.isCallExpression(node)) {
+      const callee = node.callee;
+      const name = t.isMemberExpression(callee) ? callee.property.name : callee.name;
+      if (TRANSLATION_FACTORY_NAMES.includes(name)) return true;
+      if (name === 'bind' && t.isMemberExpression(callee)) {
+        return this.isI18nValue(path.get('callee.object'), depth + 1);
+      }
+      return false;
+    }
+
+    if (t.isAwaitExpression(node) || t.isTSAsExpression(node) || t.isTSNonNullExpression(node)) {
+      return this.isI18nValue(path.get(t.isAwaitExpression(node) ? 'argument' : 'expression'), depth + 1);
+    }
+
+    // this.t, this.props.t, props.t: injected by withTranslation() in files that use i18n
+    if (t.isThisExpression(node)) {
+      return this.fileImportsI18n(path);
+    }
+
+    if (t.isMemberExpression(node)) {
+      return this.isI18nValue(path.get('object'), depth + 1);
+    }
+
+    if (!t.isIdentifier(node)) return false;
+
+    const binding = path.scope.getBinding(node.name);
+    if (!binding) {
+      return this.config.i18nGlobals.includes(node.name);
+    }
+
+    if (binding.kind === 'module') {
+      const declaration = binding.path.parentPath.node;
+      return this.isI18nModule(declaration.source.value);
+    }
+
+    if (binding.kind === 'param') {
+      return this.fileImportsI18n(path) &&
+        (node.name === 'props' || this.config.i18nFunctionNames.includes(node.name));
+    }
+
+    if (t.isVariableDeclarator(binding.path.node)) {
+      const { id } = binding.path.node;
+
+      // const { t: translate } = useTranslation() - only the translate function itself counts
+      if (t.isObjectPattern(id)) {
+        const property = id.properties.find((prop) =>
+          t.isObjectProperty(prop) && t.isIdentifier(prop.value, { name: node.name }));
+        const imported = property && t.isIdentifier(property.key) ? property.key.name : null;
+        if (!imported ||
+            (!this.config.i18nFunctionNames.includes(imported) && !['i18n', 'intl', 'props'].includes(imported))) {
+          return false;
         }
       }
 
-      current = current.parentPath;
+      return this.isI18nValue(binding.path.get('init'), depth + 1);
     }
 
     return false;
   }
 
+  /**
+   * Get the name of the translate function a call uses, or null when it isn't an i18n call.
+   * The callee must resolve to a configured i18n import or hook, so lodash's `_`
+   * or a local variable named `t` don't count, while renamed bindings do.
+   */
+  getI18nCallName(callPath) {
+    const callee = callPath.node.callee;
+
+    if (t.isIdentifier(callee)) {
+      const binding = callPath.scope.getBinding(callee.name);
+
+      // Imported directly: import { t } from 'i18next'
+      if (binding && binding.kind === 'module') {
+        const specifier = binding.path.node;
+        const imported = t.isImportSpecifier(specifier) ? specifier.imported.name : callee.name;
+        if (TRANSLATION_FACTORY_NAMES.includes(imported) ||
+            !this.config.i18nFunctionNames.includes(imported)) {
+          return null;
+        }
+      }
+
+      return this.isI18nValue(callPath.get('callee')) ? callee.name : null;
+    }
+
+    // i18n.t('key'), this.props.t('key'), intl.formatMessage()
+    if (t.isMemberExpression(callee) && !callee.computed && t.isIdentifier(callee.property)) {
+      const name = callee.property.name;
+      if (TRANSLATION_FACTORY_NAMES.includes(name) || !this.config.i18nFunctionNames.includes(name)) {
+        return null;
+      }
+
+      return this.isI18nValue(callPath.get('callee.object')) ? name : null;
+    }
+
+    return null;
+  }
+
   /**
    * Check if the file uses i18n (to reduce false positives for files already set up)
    */
@@ -273,10 +541,12 @@ class I18nStringFinder {
   /**
    * Add a found string to results
    */
-  addResult(filePath, line, column, value, type, context = '') {
+  addResult(filePath, line, column, value, type, context = '', details = {}) {
     if (this.shouldExcludeString(value)) return;
     if (this.isI18nString(value)) return;
 
+    // `signals` (attribute name, enclosing component) only feed the confidence score
+    const { signals = {}, ...fields } = details;
     this.results.push({
       file: filePath,
       line,
@@ -284,52 +554,212 @@ class I18nStringFinder {
       value: value.trim(),
       type,
       context,
+      confidence: scoreConfidence(value, { type, ...signals }),
+      ...fields,
     });
+  }
 
-    this.stats.totalStrings++;
-    this.stats.stringsByType[type] = (this.stats.stringsByType[type] || 0) + 1;
+  /**
+   * Check if a result is at least as likely to be user-facing as `minConfidence` requires
+   */
+  meetsMinConfidence(result) {
+    return result.confidence === undefined || result.confidence >= this.config.minConfidence;
   }
 
   /**
-   * Parse a single file and find hardcoded strings
+   * Persist analysis results in `location` so unchanged files are skipped on the next run
    */
-  parseFile(filePath) {
+  useCache(location) {
+    this.cache = new ScanCache(this.config, location);
+  }
+
+  /**
+   * Limit the scan to files changed in git (`--changed-since` / `--staged`), and with `addedLinesOnly`
+   * to strings on lines the diff adds
+   */
+  useDiffScope(rootPath, options = {}) {
+    const scope = getDiffScope(rootPath, options);
+    this.diffScope = { ...scope, addedLinesOnly: Boolean(options.addedLinesOnly) };
+    return this.diffScope;
+  }
+
+  /**
+   * Check if a result is inside the diff scope. Untracked files are new on every line.
+   */
+  isInDiffScope(result) {
+    if (!this.diffScope) return true;
+    if (!this.diffScope.files.has(result.file)) return false;
+    if (!this.diffScope.addedLinesOnly) return true;
+
+    const addedLines = this.diffScope.files.get(result.file);
+    return addedLines === null || addedLines.has(result.line);
+  }
+
+  /**
+   * Analyze a file once for both hardcoded strings and used keys.
+   * Results are cached by content hash, so later passes and runs skip unchanged files.
+   */
+  analyzeFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const hash = hashContent(content);
+
+    const cached = this.cache.get(filePath, hash);
+    if (cached) return cached;
+
+    const analysis = this.analyzeSource(filePath, content);
+    this.cache.set(filePath, hash, analysis);
+    return analysis;
+  }
+
+  /**
+   * Parse and analyze file contents. Parse errors are returned rather than thrown.
+   * Strings covered by `i18n-ignore` comments are dropped here, so every pass skips them; that
+   * includes exported constants, which are only reported once another file renders them.
+   */
+  analyzeSource(filePath, content) {
+    try {
+      const ast = this.parseSource(content);
+      const { results: strings, importedStrings } = this.collectStrings(filePath, ast);
+      const exported = new Set(getExportedStrings(ast));
+      const { results, unusedSuppressions } = applySuppressions(
+        [...strings, ...exported],
+        getSuppressions(ast.comments)
+      );
+      return {
+        results: results.filter((result) => !exported.has(result)),
+        exportedStrings: results.filter((result) => exported.has(result)),
+        importedStrings,
+        unusedSuppressions,
+        ...this.collectUsedKeys(filePath, ast),
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Analyze the files missing from the cache on worker threads.
+   * The passes then read every file's results from the cache in file order, so output doesn't
+   * depend on which worker finished first. Small batches are left to the passes to analyze inline.
+   */
+  async analyzeFiles(files) {
+    const tasks = [];
+    files.forEach((filePath) => {
+      try {
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const hash = hashContent(content);
+        if (!this.cache.get(filePath, hash)) {
+          tasks.push({ filePath, content, hash });
+        }
+      } catch (error) {
+        // Unreadable files are reported by the pass itself
+      }
+    });
+
+    const concurrency = Math.min(this.concurrency, Math.ceil(tasks.length / MIN_FILES_PER_WORKER));
+    if (concurrency <= 1) return;
+
     try {
-      const content = fs.readFileSync(filePath, 'utf-8');
-
-      // Parse with Babel
-      const ast = parser.parse(content, {
-        sourceType: 'module',
-        plugins: [
-          'jsx',
-          'typescript',
-          'classProperties',
-          'decorators-legacy',
-          'dynamicImport',
-          'exportDefaultFrom',
-          'exportNamespaceFrom',
-          'functionBind',
-          'nullishCoalescingOperator',
-          'optionalChaining',
-        ],
+      const analyses = await analyzeInWorkers(
+        tasks.map(({ filePath, content }) => ({ filePath, content })),
+        { config: this.config, concurrency }
+      );
+      tasks.forEach((task, index) => {
+        this.cache.set(task.filePath, task.hash, analyses[index]);
       });
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Worker threads failed (${error.message}), scanning on the main thread\n`));
+    }
+  }
+
+  /**
+   * Parse source code with Babel
+   */
+  parseSource(content) {
+    return parser.parse(content, {
+      sourceType: 'module',
+      plugins: [
+        'jsx',
+        'typescript',
+        'classProperties',
+        'decorators-legacy',
+        'dynamicImport',
+        'exportDefaultFrom',
+        'exportNamespaceFrom',
+        'functionBind',
+        'nullishCoalescingOperator',
+        'optionalChaining',
+      ],
+    });
+  }
+
+  /**
+   * Parse a single file and find hardcoded strings. Returns the file's analysis, or null when it
+   * can't be parsed.
+   */
+  parseFile(filePath) {
+    try {
+      const analysis = this.analyzeFile(filePath);
+      if (analysis.error) {
+        throw new Error(analysis.error);
+      }
 
       this.stats.filesScanned++;
-      const initialStringCount = this.stats.totalStrings;
 
+      const inScope = analysis.results.filter((result) => this.isInDiffScope(result));
+      const results = inScope.filter((result) => this.meetsMinConfidence(result));
+      this.stats.belowMinConfidence += inScope.length - results.length;
+      this.hiddenResults.push(...analysis.results.filter((result) => !results.includes(result)));
+      results.forEach((result) => {
+        this.results.push(result);
+        this.stats.totalStrings++;
+        this.stats.stringsByType[result.type] = (this.stats.stringsByType[result.type] || 0) + 1;
+      });
+
+      // Track if file has issues
+      if (results.length > 0) {
+        this.stats.filesWithIssues++;
+      }
+
+      analysis.unusedSuppressions.forEach((suppression) => {
+        const unused = { file: filePath, ...suppression };
+        if (this.isInDiffScope(unused)) {
+          this.unusedSuppressions.push(unused);
+        }
+      });
+
+      return analysis;
+    } catch (error) {
+      console.error(chalk.red(`Error parsing ${filePath}:`), error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the hardcoded strings in a parsed file, and the imported constants rendered in JSX,
+   * which are resolved once every file is analyzed
+   */
+  collectStrings(filePath, ast) {
+    const previousResults = this.results;
+    this.results = [];
+    const importedStrings = [];
+    const reportedConstants = new Set(); // Definitions already reported, by location
+
+    try {
       // Traverse the AST
       traverse.default(ast, {
         // JSX Text - e.g., <Text>Hello World</Text>
         JSXText: (path) => {
           const value = path.node.value.trim();
-          if (value && !this.isInsideI18nCall(path)) {
+          if (value && this.hasTranslatableChildren(path) && !this.isInsideI18nCall(path)) {
             this.addResult(
               filePath,
               path.node.loc?.start.line,
               path.node.loc?.start.column,
               value,
               'JSX Text',
-              this.getContextSnippet(path)
+              this.getContextSnippet(path),
+              { signals: { component: this.getParentElementName(path) } }
             );
           }
         },
@@ -337,13 +767,52 @@ class I18nStringFinder {
         // JSX Attribute - e.g., <Button title="Click me" />
         JSXAttribute: (path) => {
           const attributeName = path.node.name.name;
+          const component = this.getElementName(path.parent.name);
+          const signals = { attribute: attributeName, component };
 
           // Skip excluded attributes
-          if (this.config.excludeAttributeNames.includes(attributeName)) {
+          if (this.isExcludedAttribute(attributeName, component)) {
             return;
           }
 
           const value = path.node.value;
+          const a11yLevel = this.config.a11yAttributes[attributeName];
+
+          // Screen-reader text - e.g., <Image alt="Company logo" />, reported at the attribute's level
+          if (a11yLevel) {
+            const literal = t.isJSXExpressionContainer(value) ? value.expression : value;
+            const details = { level: a11yLevel === 'error' ? 'error' : 'warning', signals };
+            if (this.isInsideI18nCall(path)) return;
+
+            if (t.isStringLiteral(literal)) {
+              this.addResult(
+                filePath,
+                literal.loc?.start.line,
+                literal.loc?.start.column,
+                literal.value,
+                'A11y Attribute',
+                `${attributeName}="${literal.value}"`,
+                details
+              );
+            } else if (t.isTemplateLiteral(literal)) {
+              // alt={`Photo of ${name}`}: each static part, like other template literals in JSX
+              const template = literal.quasis.map((quasi) => quasi.value.raw).join('${...}');
+              literal.quasis.forEach((quasi) => {
+                const text = quasi.value.cooked || quasi.value.raw;
+                if (!text || !text.trim()) return;
+                this.addResult(
+                  filePath,
+                  quasi.loc?.start.line,
+                  quasi.loc?.start.column,
+                  text,
+                  'A11y Attribute',
+                  `${attributeName}={\`${template}\`}`,
+                  details
+                );
+              });
+            }
+            return;
+          }
 
           // String literal attribute
           if (t.isStringLiteral(value)) {
@@ -354,11 +823,17 @@ class I18nStringFinder {
                 value.loc?.start.column,
                 value.value,
                 'JSX Attribute',
-                `${attributeName}="${value.value}"`
+                `${attributeName}="${value.value}"`,
+                { signals }
               );
             }
           }
 
+          // Objects with user-facing properties - e.g., options={{ title: 'Profile' }}
+          if (t.isJSXExpressionContainer(value) && t.isObjectExpression(value.expression)) {
+            this.addSinkStrings(filePath, value.expression, `${attributeName}={{...}}`, { insideJSX: true });
+          }
+
           // Expression container with string
           if (t.isJSXExpressionContainer(value)) {
             if (t.isStringLiteral(value.expression)) {
@@ -369,7 +844,8 @@ class I18nStringFinder {
                   value.expression.loc?.start.column,
                   value.expression.value,
                   'JSX Attribute Expression',
-                  `${attributeName}={${JSON.stringify(value.expression.value)}}`
+                  `${attributeName}={${JSON.stringify(value.expression.value)}}`,
+                  { signals }
                 );
               }
             }
@@ -378,8 +854,9 @@ class I18nStringFinder {
 
         // Template literals in JSX - e.g., <Text>{`Hello ${name}`}</Text>
         TemplateLiteral: (path) => {
-          // Only check template literals inside JSX
-          if (this.isInsideJSX(path) && !this.isInsideI18nCall(path)) {
+          // Only check template literals inside JSX; screen-reader attributes are reported by the JSXAttribute visitor
+          if (this.isInsideJSX(path) && !this.isA11yAttributeValue(path) && this.hasTranslatableChildren(path) &&
+              !this.isInsideI18nCall(path)) {
             path.node.quasis.forEach((quasi) => {
               const value = quasi.value.cooked || quasi.value.raw;
               if (value && value.trim()) {
@@ -389,7 +866,8 @@ class I18nStringFinder {
                   quasi.loc?.start.column,
                   value,
                   'Template Literal in JSX',
-                  this.getContextSnippet(path)
+                  this.getContextSnippet(path),
+                  { signals: { component: this.getParentElementName(path) } }
                 );
               }
             });
@@ -397,21 +875,43 @@ class I18nStringFinder {
         },
 
         // String literals in JSX expressions - e.g., <Text>{"Hello"}</Text>
+        // (attribute values like title={"Hello"} are reported by the JSXAttribute visitor)
         JSXExpressionContainer: (path) => {
           if (t.isStringLiteral(path.node.expression)) {
-            if (!this.isInsideI18nCall(path)) {
+            if (!t.isJSXAttribute(path.parent) && this.hasTranslatableChildren(path) && !this.isInsideI18nCall(path)) {
               this.addResult(
                 filePath,
                 path.node.expression.loc?.start.line,
                 path.node.expression.loc?.start.column,
                 path.node.expression.value,
                 'JSX Expression',
-                this.getContextSnippet(path)
+                this.getContextSnippet(path),
+                { signals: { component: this.getParentElementName(path) } }
               );
             }
+          } else {
+            // Constants rendered in JSX - e.g., <Text>{LABELS.save}</Text>
+            const imported = this.addConstantStrings(filePath, path, reportedConstants);
+            if (imported) importedStrings.push(imported);
           }
         },
 
+        // Strings passed to user-facing calls - e.g., Alert.alert('Delete?'), throw new Error('Failed')
+        'CallExpression|NewExpression': (path) => {
+          const sink = this.getUserFacingCall(path.get('callee'));
+          if (!sink) return;
+
+          const context = `${t.isNewExpression(path.node) ? 'new ' : ''}${sink.name}()`;
+          path.node.arguments.forEach((argument, index) => {
+            if (!sink.arguments || sink.arguments.includes(index)) {
+              this.addSinkStrings(filePath, argument, context, {
+                insideJSX: this.isInsideJSX(path),
+                allStrings: !sink.propertiesOnly,
+              });
+            }
+          });
+        },
+
         // Detect strings returned from render functions or functional components
         ReturnStatement: (path) => {
           // Check if we're in a function that likely returns JSX
@@ -421,16 +921,275 @@ class I18nStringFinder {
         },
       });
 
-      // Track if file has issues
-      if (this.stats.totalStrings > initialStringCount) {
-        this.stats.filesWithIssues++;
+      return { results: this.results, importedStrings };
+    } finally {
+      this.results = previousResults;
+    }
+  }
+
+  /**
+   * Report the strings of a `const` (or a property of a const object) rendered by a JSX expression,
+   * at their definition and once per definition. Constants imported from another module are
+   * returned as a reference to resolve against that module's exports.
+   */
+  addConstantStrings(filePath, path, reportedConstants) {
+    if (t.isJSXAttribute(path.parent)) {
+      if (this.isExcludedAttribute(path.parent.name.name, this.getElementName(path.parentPath.parent.name))) return null;
+    } else if (!this.hasTranslatableChildren(path)) {
+      return null;
+    }
+
+    const reference = getReferencePath(path.node.expression);
+    if (!reference || this.isInsideI18nCall(path)) return null;
+
+    const binding = path.scope.getBinding(reference.name);
+    if (!binding) return null;
+
+    const { line, column } = path.node.loc?.start || {};
+
+    if (binding.kind === 'const' && t.isVariableDeclarator(binding.path.node) &&
+      t.isIdentifier(binding.path.node.id) && binding.path.node.init) {
+      getConstantStrings(binding.path.node.init)
+        .filter((constant) => matchesReferencePath(constant.path, reference.path))
+        .forEach((constant) => {
+          const location = `${constant.line}:${constant.column}`;
+          if (reportedConstants.has(location)) return;
+          reportedConstants.add(location);
+
+          this.addResult(
+            filePath,
+            constant.line,
+            constant.column,
+            constant.value,
+            'JSX Constant',
+            `{${[reference.name, ...constant.path].join('.')}}`,
+            { usage: { file: filePath, line, column } }
+          );
+        });
+      return null;
+    }
+
+    if (binding.kind !== 'module' || !t.isImportDeclaration(binding.path.parent)) return null;
+
+    const specifier = binding.path.node;
+    let exportPath;
+    if (t.isImportNamespaceSpecifier(specifier)) {
+      exportPath = reference.path;
+    } else if (t.isImportDefaultSpecifier(specifier)) {
+      exportPath = ['default', ...reference.path];
+    } else {
+      const importedName = t.isIdentifier(specifier.imported) ? specifier.imported.name : specifier.imported.value;
+      exportPath = [importedName, ...reference.path];
+    }
+    if (exportPath.length === 0 || exportPath[0] === ANY_PROPERTY) return null;
+
+    return { source: binding.path.parent.source.value, path: exportPath, line, column };
+  }
+
+  /**
+   * Report the exported constants that other files render in JSX, at their definition with the
+   * first file rendering them. Only relative imports between scanned files are followed.
+   */
+  resolveImportedStrings(analyses) {
+    const reported = new Set(this.results.map((result) => `${result.file}:${result.line}:${result.column}`));
+    const previousCount = this.results.length;
+
+    [...analyses.keys()].sort().forEach((filePath) => {
+      analyses.get(filePath).importedStrings.forEach((imported) => {
+        const modulePath = resolveModulePath(filePath, imported.source, (candidate) => analyses.has(candidate));
+        if (!modulePath) return;
+
+        analyses.get(modulePath).exportedStrings
+          .filter((constant) => matchesReferencePath(constant.path, imported.path))
+          .forEach((constant) => {
+            const location = `${modulePath}:${constant.line}:${constant.column}`;
+            if (reported.has(location)) return;
+            reported.add(location);
+
+            this.addResult(
+              modulePath,
+              constant.line,
+              constant.column,
+              constant.value,
+              'JSX Constant',
+              `{${constant.path.join('.')}}`,
+              { usage: { file: filePath, line: imported.line, column: imported.column } }
+            );
+          });
+      });
+    });
+
+    const resolved = this.results.splice(previousCount);
+    const inScope = resolved.filter((result) => this.isInDiffScope(result));
+    const added = inScope.filter((result) => this.meetsMinConfidence(result));
+    this.stats.belowMinConfidence += inScope.length - added.length;
+    this.hiddenResults.push(...resolved.filter((result) => !added.includes(result)));
+    added.forEach((result) => {
+      this.results.push(result);
+      this.stats.totalStrings++;
+      this.stats.stringsByType[result.type] = (this.stats.stringsByType[result.type] || 0) + 1;
+    });
+    if (added.length > 0) {
+      // Keep results grouped by file, as each file's strings were added in file order
+      this.results.sort((a, b) => (a.file < b.file ? -1 : Number(a.file > b.file)));
+      this.stats.filesWithIssues = new Set(this.results.map((result) => result.file)).size;
+    }
+  }
+
+  /**
+   * Get the name of a JSX element, including member and namespaced names like `Form.Field`
+   */
+  getElementName(name) {
+    if (t.isJSXIdentifier(name)) return name.name;
+    if (t.isJSXMemberExpression(name)) return `${this.getElementName(name.object)}.${name.property.name}`;
+    if (t.isJSXNamespacedName(name)) return `${name.namespace.name}:${name.name.name}`;
+    return null;
+  }
+
+  /**
+   * Check if strings in a JSX attribute are skipped: by the element's componentRules first, then
+   * screen-reader attributes by their a11yAttributes level and others by excludeAttributeNames
+   */
+  isExcludedAttribute(attributeName, elementName = null) {
+    const rule = elementName && this.config.componentRules[elementName];
+    if (rule) {
+      if ((rule.props || []).includes(attributeName)) return false;
+      const ignoreProps = rule.ignoreProps || [];
+      if (ignoreProps.includes(attributeName) || ignoreProps.includes('*')) return true;
+    }
+
+    const a11yLevel = this.config.a11yAttributes[attributeName];
+    if (a11yLevel) return a11yLevel === 'ignore';
+    return this.config.excludeAttributeNames.includes(attributeName);
+  }
+
+  /**
+   * Get the name of a callee like `Alert.alert` or `this.props.navigation.setOptions`, or null
+   * when it isn't a plain identifier chain
+   */
+  getCalleeName(node) {
+    if (t.isIdentifier(node)) return node.name;
+    if (t.isThisExpression(node)) return 'this';
+    if (t.isMemberExpression(node) && !node.computed && t.isIdentifier(node.property)) {
+      const object = this.getCalleeName(node.object);
+      return object ? `${object}.${node.property.name}` : null;
+    }
+    return null;
+  }
+
+  /**
+   * Find the userFacingCalls entry matching a callee, with the name it matched as. A `stateSetter`
+   * entry matching something other than a `useState` setter is marked `propertiesOnly`.
+   */
+  getUserFacingCall(calleePath) {
+    const name = this.getCalleeName(calleePath.node);
+    if (!name) return null;
+
+    const matches = (pattern) => {
+      if (pattern.endsWith('.*')) {
+        const object = pattern.slice(0, -2);
+        const index = name.lastIndexOf('.');
+        return index !== -1 && (name.slice(0, index) === object || name.slice(0, index).endsWith(`.${object}`));
       }
+      return name === pattern || name.endsWith(`.${pattern}`);
+    };
 
-    } catch (error) {
-      console.error(chalk.red(`Error parsing ${filePath}:`), error.message);
+    const sink = this.config.userFacingCalls
+      .map((entry) => (typeof entry === 'string' ? { callee: entry } : entry))
+      .find((entry) => matches(entry.callee));
+    if (!sink) return null;
+
+    return { ...sink, name, propertiesOnly: Boolean(sink.stateSetter) && !this.isStateSetter(calleePath) };
+  }
+
+  /**
+   * Check if a callee is the setter of a `useState` hook: `const [error, setError] = useState()`
+   */
+  isStateSetter(calleePath) {
+    if (!t.isIdentifier(calleePath.node)) return false;
+
+    const binding = calleePath.scope.getBinding(calleePath.node.name);
+    if (!binding || !t.isVariableDeclarator(binding.path.node)) return false;
+
+    const { id, init } = binding.path.node;
+    return t.isArrayPattern(id) &&
+      id.elements[1] === binding.identifier &&
+      t.isCallExpression(init) &&
+      /(^|\.)useState$/.test(this.getCalleeName(init.callee) || '');
+  }
+
+  /**
+   * Report the strings in a value that reaches a user-facing call or property: literals, template
+   * literals, both branches of conditionals, `||` / `??` fallbacks, and userFacingProperties of objects
+   * and arrays (e.g. Alert buttons). Only object properties are checked unless `allStrings` is set.
+   * Template literals inside JSX are skipped, as the TemplateLiteral visitor reports them.
+   */
+  addSinkStrings(filePath, node, context, options = {}) {
+    const { insideJSX = false, allStrings = false } = options;
+    const type = 'User-Facing String';
+
+    if (t.isObjectExpression(node)) {
+      node.properties.forEach((prop) => {
+        if (!t.isObjectProperty(prop) || prop.computed) return;
+        const name = t.isIdentifier(prop.key) ? prop.key.name : prop.key.value;
+
+        if (this.config.userFacingProperties.includes(name)) {
+          this.addSinkStrings(filePath, prop.value, `${context} ${name}`, { insideJSX, allStrings: true });
+        } else if (t.isObjectExpression(prop.value) || t.isArrayExpression(prop.value)) {
+          this.addSinkStrings(filePath, prop.value, context, { insideJSX, allStrings: false });
+        }
+      });
+      return;
+    }
+
+    if (t.isArrayExpression(node)) {
+      node.elements.forEach((element) => {
+        if (element) this.addSinkStrings(filePath, element, context, { insideJSX, allStrings: false });
+      });
+      return;
+    }
+
+    if (!allStrings) return;
+
+    if (t.isStringLiteral(node)) {
+      this.addResult(filePath, node.loc?.start.line, node.loc?.start.column, node.value, type, context);
+    } else if (t.isTemplateLiteral(node) && !insideJSX) {
+      node.quasis.forEach((quasi) => {
+        const value = quasi.value.cooked || quasi.value.raw;
+        if (value && value.trim()) {
+          this.addResult(filePath, quasi.loc?.start.line, quasi.loc?.start.column, value, type, context);
+        }
+      });
+    } else if (t.isConditionalExpression(node)) {
+      [node.consequent, node.alternate].forEach((branch) => this.addSinkStrings(filePath, branch, context, options));
+    } else if (t.isLogicalExpression(node) && node.operator !== '&&') {
+      this.addSinkStrings(filePath, node.right, context, options);
     }
   }
 
+  /**
+   * Check if the text or expression at a path is a child of an element whose children are translatable,
+   * i.e. the element has no componentRules entry with `children: false`. Attribute values are not children.
+   */
+  hasTranslatableChildren(path) {
+    const container = t.isJSXText(path.node) || t.isJSXExpressionContainer(path.node)
+      ? path
+      : path.findParent((parent) => t.isJSXExpressionContainer(parent.node));
+    if (!container || !t.isJSXElement(container.parent)) return true;
+
+    const rule = this.config.componentRules[this.getElementName(container.parent.openingElement.name)];
+    return !rule || rule.children !== false;
+  }
+
+  /**
+   * Check if a path is the value of a screen-reader attribute, e.g. the template of alt={`Photo of ${name}`}
+   */
+  isA11yAttributeValue(path) {
+    const container = path.parentPath;
+    return t.isJSXExpressionContainer(container.node) && t.isJSXAttribute(container.parent) &&
+      t.isJSXIdentifier(container.parent.name) && Boolean(this.config.a11yAttributes[container.parent.name.name]);
+  }
+
   /**
    * Check if path is inside JSX
    */
@@ -536,26 +1295,21 @@ class I18nStringFinder {
    */
   getContextSnippet(path) {
     try {
-      let current = path;
-
-      // Find the nearest JSX element or meaningful parent
-      while (current && !t.isJSXElement(current.node) && !t.isJSXFragment(current.node)) {
-        current = current.parentPath;
-      }
-
-      if (current && t.isJSXElement(current.node)) {
-        const openingElement = current.node.openingElement;
-        if (t.isJSXIdentifier(openingElement.name)) {
-          return `<${openingElement.name.name}>`;
-        }
-      }
-
-      return '';
+      const name = this.getParentElementName(path);
+      return name ? `<${name}>` : '';
     } catch {
       return '';
     }
   }
 
+  /**
+   * Get the name of the nearest JSX element around a path, or null inside a fragment or outside JSX
+   */
+  getParentElementName(path) {
+    const element = path.findParent((parent) => t.isJSXElement(parent.node) || t.isJSXFragment(parent.node));
+    return element && t.isJSXElement(element.node) ? this.getElementName(element.node.openingElement.name) : null;
+  }
+
   /**
    * Scan all files in the project
    */
@@ -563,18 +1317,34 @@ class I18nStringFinder {
     console.log(chalk.blue.bold('\n🔍 Starting i18n string scan...\n'));
 
     // Find all files matching patterns
-    const files = await glob(this.config.includePatterns, {
+    let files = await glob(this.config.includePatterns, {
       cwd: rootPath,
       absolute: true,
       ignore: this.config.excludePatterns,
     });
 
-    console.log(chalk.gray(`Found ${files.length} files to scan\n`));
+    if (this.diffScope) {
+      const total = files.length;
+      files = files.filter((file) => this.diffScope.files.has(file));
+      console.log(chalk.gray(`Found ${files.length} of ${total} files ${this.diffScope.description}` +
+        `${this.diffScope.addedLinesOnly ? ' (reporting added lines only)' : ''}\n`));
+    } else {
+      console.log(chalk.gray(`Found ${files.length} files to scan\n`));
+    }
+
+    // Sorted so the report doesn't depend on file system order
+    files.sort();
+    await this.analyzeFiles(files);
 
     // Parse each file
+    const analyses = new Map();
     files.forEach((file) => {
-      this.parseFile(file);
+      const analysis = this.parseFile(file);
+      if (analysis) analyses.set(file, analysis);
     });
+    this.resolveImportedStrings(analyses);
+
+    this.cache.save();
   }
 
   /**
@@ -589,6 +1359,9 @@ class I18nStringFinder {
     console.log(chalk.white(`  Files scanned: ${this.stats.filesScanned}`));
     console.log(chalk.white(`  Files with issues: ${this.stats.filesWithIssues}`));
     console.log(chalk.white(`  Total hardcoded strings: ${this.stats.totalStrings}`));
+    if (this.stats.belowMinConfidence > 0) {
+      console.log(chalk.gray(`  Hidden below confidence ${this.config.minConfidence}: ${this.stats.belowMinConfidence}`));
+    }
 
     if (this.stats.totalStrings > 0) {
       console.log(chalk.cyan('\nStrings by type:'));
@@ -626,11 +1399,15 @@ class I18nStringFinder {
 
       strings.forEach((string, index) => {
         console.log(chalk.gray(`\n   ${index + 1}. Line ${string.line}:${string.column}`));
-        console.log(chalk.yellow(`      Type: ${string.type}`));
+        console.log(chalk.yellow(`      Type: ${string.type}${string.level === 'error' ? chalk.red(' (error)') : ''}`) +
+          chalk.gray(` (confidence ${string.confidence})`));
         console.log(chalk.white(`      String: "${string.value}"`));
         if (string.context) {
           console.log(chalk.gray(`      Context: ${string.context}`));
         }
+        if (string.usage) {
+          console.log(chalk.gray(`      Rendered at: ${path.relative(process.cwd(), string.usage.file)}:${string.usage.line}:${string.usage.column}`));
+        }
       });
     });
 
@@ -643,6 +1420,29 @@ class I18nStringFinder {
     console.log(chalk.white('   5. Run this scan again to verify\n'));
   }
 
+  /**
+   * List the suppression comments that no longer suppress any string
+   */
+  reportUnusedSuppressions() {
+    console.log(chalk.blue.bold('\n🔇 Unused Suppressions\n'));
+
+    if (this.unusedSuppressions.length === 0) {
+      console.log(chalk.green('✅ Every suppression comment is still needed\n'));
+      return;
+    }
+
+    console.log(chalk.yellow(`⚠️  ${this.unusedSuppressions.length} suppression comment(s) don't suppress anything:`));
+    this.unusedSuppressions.slice(0, 20).forEach((suppression) => {
+      const reason = suppression.reason ? chalk.gray(` (${suppression.reason})`) : '';
+      console.log(chalk.white(`   • ${suppression.directive}${reason}`));
+      console.log(chalk.gray(`     ${this.formatFileLink(suppression.file, suppression.line, suppression.column)}`));
+    });
+    if (this.unusedSuppressions.length > 20) {
+      console.log(chalk.gray(`   ... and ${this.unusedSuppressions.length - 20} more`));
+    }
+    console.log(chalk.cyan('\n💡 Remove them so they don\'t hide new strings on those lines\n'));
+  }
+
   /**
    * Export results to JSON
    */
@@ -658,43 +1458,166 @@ class I18nStringFinder {
   }
 
   /**
-   * Generate i18n translation file from detected strings
+   * Write the findings of a scan, validation or duplicate check with a reporter from `loadReporter`
    */
-  generateI18nFile(outputPath, rootPath, options = {}) {
-    const { flat = false, namespace = true } = options;
-    
-    if (this.results.length === 0) {
-      console.log(chalk.yellow('\n⚠️  No hardcoded strings found to generate translations from.\n'));
-      return;
+  exportReport(reporter, outputPath, mode, result, options = {}) {
+    const findings = this.getFindings(mode, result, options);
+    const output = reporter.render({
+      mode,
+      findings,
+      result: mode === 'scan' ? { stats: this.stats, results: this.results } : result,
+      timestamp: new Date().toISOString(),
+    });
+
+    fs.writeFileSync(outputPath, output);
+    console.log(chalk.green(`\n✅ ${reporter.name} report (${findings.length} findings) exported to ${outputPath}\n`));
+  }
+
+  /**
+   * Get the findings of a scan, validation or duplicate check in a format-neutral shape.
+   * Scans include unused suppression comments with `options.unusedSuppressions`.
+   */
+  getFindings(mode, result, options = {}) {
+    if (mode === 'scan') {
+      const findings = getScanFindings(this.results, options.rootPath);
+      return options.unusedSuppressions
+        ? findings.concat(getSuppressionFindings(this.unusedSuppressions))
+        : findings;
+    }
+    if (mode === 'validate') {
+      const keyLocations = this.locateTranslationKeys(result.translationFiles, result.namespaced);
+      return getValidationFindings(result, keyLocations, options.translationPath);
     }
+    if (mode === 'duplicates') {
+      return getDuplicateFindings(result, options.translationPath);
+    }
+    return [];
+  }
 
-    const translations = {};
-    const keyMap = {}; // Track original string -> key mapping
-    const usedKeys = new Set(); // Track used keys to avoid duplicates
+  /**
+   * Load a baseline file, or null (with an error) when it is missing or invalid
+   */
+  loadBaseline(baselinePath) {
+    try {
+      const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+      if (!Array.isArray(baseline.entries)) {
+        throw new Error('missing "entries"');
+      }
+      return baseline;
+    } catch (error) {
+      console.log(chalk.red(`\n❌ Could not read baseline ${baselinePath}: ${error.message}\n`));
+      return null;
+    }
+  }
+
+  /**
+   * Write the current results as a baseline. With a previous baseline, only its entries
+   * that still exist are kept, so fixed strings are pruned without accepting new ones.
+   */
+  writeBaseline(baselinePath, rootPath, previousBaselinePath = null) {
+    let baseline = createBaseline(this.results, rootPath);
+
+    if (previousBaselinePath) {
+      const previous = this.loadBaseline(previousBaselinePath);
+      if (!previous) return null;
+      baseline = pruneBaseline(previous, [...this.results, ...this.hiddenResults], rootPath);
+    }
+
+    fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+    const total = baseline.entries.reduce((sum, entry) => sum + entry.count, 0);
+    console.log(chalk.green(`\n✅ Baseline with ${total} strings written to ${baselinePath}\n`));
 
+    return baseline;
+  }
+
+  /**
+   * Keep only the results that aren't in the baseline, and report baseline entries that were fixed.
+   * With a diff scope, only entries of the changed files can be fixed.
+   */
+  applyBaseline(baselinePath, rootPath) {
+    const baseline = this.loadBaseline(baselinePath);
+    if (!baseline) return null;
+
+    const comparison = compareWithBaseline(this.results, baseline, rootPath, {
+      hiddenResults: this.hiddenResults,
+      ...(this.diffScope && { isFileInScope: (file) => this.diffScope.files.has(path.resolve(rootPath, file)) }),
+    });
+
+    this.results = comparison.newResults;
+    this.stats.totalStrings = this.results.length;
+    this.stats.stringsByType = {};
     this.results.forEach((result) => {
+      this.stats.stringsByType[result.type] = (this.stats.stringsByType[result.type] || 0) + 1;
+    });
+    this.stats.filesWithIssues = new Set(this.results.map((result) => result.file)).size;
+
+    console.log(chalk.blue.bold('\n📋 Baseline\n'));
+    console.log(chalk.white(`  Baselined strings (ignored): ${comparison.baselinedResults.length}`));
+    console.log(chalk.white(`  New strings: ${comparison.newResults.length}`));
+
+    if (comparison.fixedEntries.length > 0) {
+      const fixedCount = comparison.fixedEntries.reduce((sum, entry) => sum + entry.count, 0);
+      console.log(chalk.green(`\n✅ Fixed since the baseline (${fixedCount}):`));
+      comparison.fixedEntries.slice(0, 20).forEach((entry) => {
+        console.log(chalk.gray(`   • ${entry.file}: "${entry.value}"${entry.count > 1 ? ` (${entry.count}x)` : ''}`));
+      });
+      if (comparison.fixedEntries.length > 20) {
+        console.log(chalk.gray(`   ... and ${comparison.fixedEntries.length - 20} more`));
+      }
+      console.log(chalk.cyan(`\n💡 Prune them with: i18n-finder --baseline=${baselinePath} --write-baseline=${baselinePath}`));
+    }
+
+    return comparison;
+  }
+
+  /**
+   * Assign a unique translation key to every detected string
+   */
+  assignKeys(rootPath, options = {}) {
+    const { namespace = true } = options;
+    const usedKeys = new Set(); // Track used keys to avoid duplicates
+
+    return this.results.map((result) => {
       const ns = namespace ? this.getNamespaceFromPath(result.file, rootPath) : '';
       let baseKey = this.generateKey(result.value, result.context);
       
       // Ensure unique key
       let key = baseKey;
       let counter = 1;
-      const fullKey = ns ? `${ns}.${key}` : key;
       
       while (usedKeys.has(ns ? `${ns}.${key}` : key)) {
         key = `${baseKey}_${counter}`;
         counter++;
       }
       
-      const finalFullKey = ns ? `${ns}.${key}` : key;
-      usedKeys.add(finalFullKey);
+      const fullKey = ns ? `${ns}.${key}` : key;
+      usedKeys.add(fullKey);
+
+      return { result, key, fullKey };
+    });
+  }
+
+  /**
+   * Generate i18n translation file from detected strings
+   */
+  generateI18nFile(outputPath, rootPath, options = {}) {
+    const { flat = false, namespace = true } = options;
+    
+    if (this.results.length === 0) {
+      console.log(chalk.yellow('\n⚠️  No hardcoded strings found to generate translations from.\n'));
+      return;
+    }
+
+    const translations = {};
+    const keyMap = {}; // Track original string -> key mapping
 
+    this.assignKeys(rootPath, { namespace }).forEach(({ result, key, fullKey }) => {
       if (flat || !namespace) {
         // Flat structure
         translations[key] = result.value;
       } else {
         // Nested structure based on namespace
-        const parts = finalFullKey.split('.');
+        const parts = fullKey.split('.');
         let current = translations;
         
         for (let i = 0; i < parts.length - 1; i++) {
@@ -703,107 +1626,750 @@ class I18nStringFinder {
           }
           current = current[parts[i]];
         }
-        
-        current[parts[parts.length - 1]] = result.value;
-      }
+        
+        current[parts[parts.length - 1]] = result.value;
+      }
+
+      // Store mapping for reference
+      keyMap[result.value] = {
+        key: fullKey,
+        file: result.file,
+        line: result.line,
+      };
+    });
+
+    // Write translation file
+    fs.writeFileSync(outputPath, JSON.stringify(translations, null, 2));
+    console.log(chalk.green(`\n✅ Generated i18n file: ${outputPath}`));
+    console.log(chalk.gray(`   Contains ${Object.keys(keyMap).length} translation keys\n`));
+
+    // Also write key mapping file for reference
+    const mapPath = outputPath.replace(/\.json$/, '.keymap.json');
+    fs.writeFileSync(mapPath, JSON.stringify(keyMap, null, 2));
+    console.log(chalk.gray(`   Key mapping saved to: ${mapPath}\n`));
+
+    return translations;
+  }
+
+  /**
+   * Rewrite a single finding to a translation call under a generated key, the way `--fix` does,
+   * for editor integrations. A key already defined with another value gets a numeric suffix.
+   * Returns the key and the `applyFixes` output, whose `edits` apply to `content`.
+   */
+  fixResult(ast, content, result, rootPath, definedValues = new Map()) {
+    const ns = this.getNamespaceFromPath(result.file, rootPath);
+    const baseKey = this.generateKey(result.value, result.context);
+    const qualify = (key) => (ns ? `${ns}.${key}` : key);
+
+    let key = qualify(baseKey);
+    let counter = 1;
+    while (definedValues.has(key) && definedValues.get(key) !== result.value) {
+      key = qualify(`${baseKey}_${counter}`);
+      counter++;
+    }
+
+    const fix = applyFixes(ast, content, [{ result, key }], {
+      functionName: this.config.fixFunctionName,
+      hookName: this.config.fixHookName,
+      importSource: this.config.fixImportSource,
+    });
+    return { key, fix };
+  }
+
+  /**
+   * Replace detected strings with t() calls in the source files.
+   * Strings below `minConfidence` are listed as skipped rather than rewritten.
+   */
+  fixFiles(rootPath, options = {}) {
+    const {
+      flat = false,
+      namespace = true,
+      dryRun = false,
+      translationPath = null,
+      minConfidence = FIX_MIN_CONFIDENCE,
+    } = options;
+
+    console.log(chalk.blue.bold(`\n🛠️  ${dryRun ? 'Previewing' : 'Applying'} i18n fixes...\n`));
+
+    if (this.results.length === 0) {
+      console.log(chalk.yellow('\n⚠️  No hardcoded strings found to fix.\n'));
+      return null;
+    }
+
+    // Use the same keys as the generated translation file
+    const byFile = {};
+    const skipped = [];
+    this.assignKeys(rootPath, { namespace }).forEach(({ result, key, fullKey }) => {
+      const assignment = { result, key: flat || !namespace ? key : fullKey };
+      if (result.confidence !== undefined && result.confidence < minConfidence) {
+        skipped.push({
+          ...assignment,
+          reason: `Confidence ${result.confidence} is below ${minConfidence}; set --min-confidence to fix it anyway`,
+        });
+        return;
+      }
+
+      if (!byFile[result.file]) {
+        byFile[result.file] = [];
+      }
+      byFile[result.file].push(assignment);
+    });
+
+    const translations = {};
+    const files = [];
+
+    Object.entries(byFile).forEach(([file, assignments]) => {
+      let fix;
+      try {
+        const content = fs.readFileSync(file, 'utf-8');
+        fix = applyFixes(this.parseSource(content), content, assignments, {
+          functionName: this.config.fixFunctionName,
+          hookName: this.config.fixHookName,
+          importSource: this.config.fixImportSource,
+        });
+
+        if (fix.replaced.length > 0 && dryRun) {
+          const diff = createUnifiedDiff(content, fix.code, path.relative(rootPath, file));
+          diff.split('\n').forEach((line) => {
+            if (line.startsWith('@@')) {
+              console.log(chalk.cyan(line));
+            } else if (line.startsWith('+')) {
+              console.log(chalk.green(line));
+            } else if (line.startsWith('-')) {
+              console.log(chalk.red(line));
+            } else {
+              console.log(chalk.gray(line));
+            }
+          });
+          console.log('');
+        } else if (fix.replaced.length > 0) {
+          fs.writeFileSync(file, fix.code);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error fixing ${file}:`), error.message);
+        return;
+      }
+
+      skipped.push(...fix.skipped);
+      if (fix.replaced.length === 0) return;
+
+      Object.assign(translations, fix.translations);
+      files.push({
+        file,
+        replaced: fix.replaced.map(({ result, key, replacement }) => ({
+          line: result.line,
+          value: result.value,
+          key,
+          replacement,
+        })),
+      });
+    });
+
+    // Merge the new keys into the translation file
+    if (translationPath && !dryRun && Object.keys(translations).length > 0) {
+      this.mergeTranslations(translationPath, translations, { flat });
+      console.log(chalk.green(`✅ Added ${Object.keys(translations).length} keys to ${translationPath}\n`));
+    }
+
+    // Report
+    const replacedCount = files.reduce((sum, entry) => sum + entry.replaced.length, 0);
+    console.log(chalk.gray('='.repeat(80)));
+    console.log(chalk.green.bold(`\n✅ ${dryRun ? 'Would replace' : 'Replaced'} ${replacedCount} strings in ${files.length} files`));
+
+    if (skipped.length > 0) {
+      console.log(chalk.yellow.bold(`\n⚠️  Skipped ${skipped.length} strings (fix manually):\n`));
+      skipped.forEach(({ result, reason }) => {
+        console.log(chalk.blue(`   📄 ${this.formatFileLink(result.file, result.line, result.column)}`));
+        console.log(chalk.gray(`      "${result.value}" - ${reason}`));
+      });
+    }
+
+    if (dryRun) {
+      console.log(chalk.gray('\n   Dry run: no files were changed. Run without --dry-run to apply.'));
+    }
+
+    console.log(chalk.gray('\n' + '='.repeat(80) + '\n'));
+
+    return {
+      files,
+      translations,
+      skipped: skipped.map(({ result, key, reason }) => ({
+        file: result.file,
+        line: result.line,
+        value: result.value,
+        key,
+        reason,
+      })),
+    };
+  }
+
+  /**
+   * Add `key -> value` translations to a JSON file, creating it if needed
+   */
+  mergeTranslations(translationPath, translations, options = {}) {
+    const { flat = false } = options;
+    const existing = fs.existsSync(translationPath)
+      ? JSON.parse(fs.readFileSync(translationPath, 'utf-8'))
+      : {};
+
+    Object.entries(translations).forEach(([key, value]) => {
+      if (flat) {
+        existing[key] = value;
+        return;
+      }
+
+      const parts = key.split('.');
+      let current = existing;
+      
+      for (let i = 0; i < parts.length - 1; i++) {
+        if (!current[parts[i]]) {
+          current[parts[i]] = {};
+        }
+        if (typeof current[parts[i]] === 'string') {
+          current[parts[i]] = { _value: current[parts[i]] };
+        }
+        current = current[parts[i]];
+      }
+      
+      current[parts[parts.length - 1]] = value;
+    });
+
+    fs.writeFileSync(translationPath, JSON.stringify(existing, null, 2));
+  }
+
+  /**
+   * Extract i18n keys used in the codebase
+   */
+  extractUsedKeys(filePath) {
+    try {
+      const analysis = this.analyzeFile(filePath);
+      if (analysis.error) return;
+
+      this.usedKeys.push(...analysis.usedKeys);
+      this.dynamicKeys.push(...analysis.dynamicKeys);
+    } catch (error) {
+      // Silently skip files that can't be read
+    }
+  }
+
+  /**
+   * Find the i18n keys and dynamic key patterns used in a parsed file
+   */
+  collectUsedKeys(filePath, ast) {
+    const previous = { usedKeys: this.usedKeys, dynamicKeys: this.dynamicKeys };
+    this.usedKeys = [];
+    this.dynamicKeys = [];
+
+    try {
+      const wrappedComponents = this.findWrappedComponents(ast);
+
+      traverse.default(ast, {
+        CallExpression: (nodePath) => {
+          // Only calls whose callee resolves to an i18n import or hook
+          const functionName = this.getI18nCallName(nodePath);
+
+          // intl.formatMessage({ id, defaultMessage }, values)
+          if (functionName === 'formatMessage') {
+            const [descriptor, values] = nodePath.node.arguments;
+            if (t.isObjectExpression(descriptor)) {
+              this.addMessageDescriptor(filePath, descriptor, functionName, this.getCallVariables(values));
+            }
+            return;
+          }
+
+          // defineMessages({ greeting: { id, defaultMessage } }) and defineMessage({ id, defaultMessage })
+          if (this.isIntlDefineCall(nodePath)) {
+            const [messages] = nodePath.node.arguments;
+            const descriptors = nodePath.node.callee.name === 'defineMessage'
+              ? [messages]
+              : (t.isObjectExpression(messages) ? messages.properties.map((prop) => prop.value) : []);
+
+            descriptors
+              .filter((descriptor) => t.isObjectExpression(descriptor))
+              .forEach((descriptor) => this.addMessageDescriptor(filePath, descriptor, nodePath.node.callee.name, []));
+            return;
+          }
+
+          if (functionName && nodePath.node.arguments.length > 0) {
+            const scope = this.getTranslationScope(nodePath, wrappedComponents);
+            const firstArg = nodePath.node.arguments[0];
+            const variables = this.getCallVariables(nodePath.node.arguments[1]);
+            const context = this.getCallContext(nodePath.node.arguments[1]);
+            
+            // Literal keys, every branch of conditional keys, and wildcard patterns for dynamic parts
+            this.resolveKeyExpression(firstArg).forEach((rawKey) => {
+              const { key, namespace } = this.applyTranslationScope(rawKey, scope, nodePath.node.arguments[1]);
+              const location = {
+                file: filePath,
+                line: firstArg.loc?.start.line,
+                column: firstArg.loc?.start.column,
+                function: functionName,
+              };
+
+              if (!key.includes(KEY_WILDCARD)) {
+                this.usedKeys.push({ key, namespace, ...location, variables, context });
+              } else if (/[^\0.:_-]/.test(key)) {
+                this.dynamicKeys.push({ pattern: key.replace(/\0+/g, '*'), namespace, ...location });
+              }
+            });
+          }
+        },
+
+        JSXOpeningElement: (nodePath) => {
+          // <Trans i18nKey="..." ns="...">Hello <b>{{ name }}</b></Trans>
+          if (this.isI18nComponent(nodePath, ['Trans'])) {
+            this.addTransKey(filePath, nodePath, wrappedComponents);
+            return;
+          }
+
+          // <FormattedMessage id="..." defaultMessage="..." values={{ name }} />
+          if (!this.isI18nComponent(nodePath, INTL_MESSAGE_COMPONENTS)) return;
+
+          const attributes = t.objectExpression([]);
+          let variables = [];
+
+          nodePath.node.attributes.forEach((attribute) => {
+            if (!t.isJSXAttribute(attribute)) return;
+
+            const value = t.isJSXExpressionContainer(attribute.value) ? attribute.value.expression : attribute.value;
+            if (attribute.name.name === 'values') {
+              variables = this.getCallVariables(value);
+            } else if (value) {
+              attributes.properties.push(t.objectProperty(t.identifier(attribute.name.name), value));
+            }
+          });
+
+          this.addMessageDescriptor(filePath, attributes, nodePath.node.name.name, variables);
+        },
+      });
+
+      return { usedKeys: this.usedKeys, dynamicKeys: this.dynamicKeys };
+    } finally {
+      ({ usedKeys: this.usedKeys, dynamicKeys: this.dynamicKeys } = previous);
+    }
+  }
+
+  /**
+   * Record the key of a react-intl message descriptor along with its
+   * `defaultMessage` and `description`
+   */
+  addMessageDescriptor(filePath, descriptor, functionName, variables) {
+    const getProperty = (name) => {
+      const property = descriptor.properties.find((prop) =>
+        t.isObjectProperty(prop) && !prop.computed &&
+        (t.isIdentifier(prop.key, { name }) || t.isStringLiteral(prop.key, { value: name })));
+      return property ? property.value : null;
+    };
+    const getString = (node) => {
+      if (t.isStringLiteral(node)) return node.value;
+      if (t.isTemplateLiteral(node) && node.expressions.length === 0) return node.quasis[0].value.cooked;
+      return undefined;
+    };
+
+    const idNode = getProperty('id');
+    if (!idNode) return;
+
+    const defaultMessage = getString(getProperty('defaultMessage'));
+    const descriptionNode = getProperty('description');
+    const description = t.isObjectExpression(descriptionNode)
+      ? descriptionNode.properties
+        .map((prop) => getString(prop.value))
+        .filter(Boolean)
+        .join(' ')
+      : getString(descriptionNode);
+
+    const location = {
+      file: filePath,
+      line: idNode.loc?.start.line,
+      column: idNode.loc?.start.column,
+      function: functionName,
+    };
+
+    this.resolveKeyExpression(idNode).forEach((key) => {
+      if (!key.includes(KEY_WILDCARD)) {
+        this.usedKeys.push({
+          key,
+          namespace: null,
+          ...location,
+          variables,
+          context: undefined,
+          defaultValue: defaultMessage,
+          description,
+        });
+      } else if (/[^\0.:_-]/.test(key)) {
+        this.dynamicKeys.push({ pattern: key.replace(/\0+/g, '*'), namespace: null, ...location });
+      }
+    });
+  }
+
+  /**
+   * Record the key of a `<Trans>` element, with its children serialized into
+   * i18next's `<0>...</0>` format as the default value
+   */
+  addTransKey(filePath, openingPath, wrappedComponents) {
+    const attributes = new Map();
+    openingPath.node.attributes.forEach((attribute) => {
+      if (t.isJSXAttribute(attribute)) {
+        const value = t.isJSXExpressionContainer(attribute.value) ? attribute.value.expression : attribute.value;
+        attributes.set(attribute.name.name, value);
+      }
+    });
+
+    const getString = (node) => (t.isStringLiteral(node) ? node.value : undefined);
+    const defaultValue = getString(attributes.get('defaults')) ?? serializeTransChildren(openingPath.parent);
+
+    // Namespace and keyPrefix come from the `t` prop, overridden by `ns`
+    const tProp = attributes.get('t');
+    const scope = t.isIdentifier(tProp) || t.isMemberExpression(tProp)
+      ? this.getTranslationScope(openingPath, wrappedComponents, tProp)
+      : { namespace: null, keyPrefix: null };
+    if (attributes.has('ns')) {
+      scope.namespace = this.getNamespaceArgument(attributes.get('ns'));
+    }
+
+    // Without an i18nKey, i18next uses the default value as the key
+    const keyNode = attributes.get('i18nKey');
+    const rawKeys = keyNode ? this.resolveKeyExpression(keyNode) : [defaultValue].filter(Boolean);
+
+    let variables = this.getCallVariables(attributes.get('values'));
+    if (variables) {
+      const count = attributes.has('count') ? ['count'] : [];
+      variables = [...new Set([...variables, ...count, ...parsePlaceholders(defaultValue)])];
+    }
+    const context = attributes.has('context')
+      ? (getString(attributes.get('context')) ?? '*')
+      : undefined;
+
+    const location = {
+      file: filePath,
+      line: (keyNode || openingPath.node).loc?.start.line,
+      column: (keyNode || openingPath.node).loc?.start.column,
+      function: 'Trans',
+    };
+
+    rawKeys.forEach((rawKey) => {
+      const { key, namespace } = this.applyTranslationScope(rawKey, scope);
+      if (!key.includes(KEY_WILDCARD)) {
+        this.usedKeys.push({ key, namespace, ...location, variables, context, defaultValue });
+      } else if (/[^\0.:_-]/.test(key)) {
+        this.dynamicKeys.push({ pattern: key.replace(/\0+/g, '*'), namespace, ...location });
+      }
+    });
+  }
+
+  /**
+   * Check if a JSX element is one of the given i18n components imported from an i18n module
+   */
+  isI18nComponent(openingPath, componentNames) {
+    const name = openingPath.node.name;
+    if (!t.isJSXIdentifier(name) || !componentNames.includes(name.name)) return false;
+
+    const binding = openingPath.scope.getBinding(name.name);
+    return Boolean(binding && binding.kind === 'module' &&
+      this.isI18nModule(binding.path.parentPath.node.source.value));
+  }
+
+  /**
+   * Check if a call is react-intl's `defineMessages` / `defineMessage` imported from an i18n module
+   */
+  isIntlDefineCall(callPath) {
+    const callee = callPath.node.callee;
+    if (!t.isIdentifier(callee) || !INTL_DEFINE_FUNCTIONS.includes(callee.name)) return false;
+
+    const binding = callPath.scope.getBinding(callee.name);
+    return Boolean(binding && binding.kind === 'module' &&
+      this.isI18nModule(binding.path.parentPath.node.source.value));
+  }
+
+  /**
+   * Get the namespace named by a `useTranslation` / `withTranslation` / `getFixedT` argument
+   */
+  getNamespaceArgument(node) {
+    if (t.isStringLiteral(node)) return node.value;
+
+    // useTranslation(['settings', 'common']) - the first namespace is the default
+    if (t.isArrayExpression(node) && t.isStringLiteral(node.elements[0])) {
+      return node.elements[0].value;
+    }
+
+    return null;
+  }
+
+  /**
+   * Map components wrapped in `withTranslation('ns')(Component)` to their namespace
+   */
+  findWrappedComponents(ast) {
+    const wrapped = new Map();
+
+    traverse.default(ast, {
+      CallExpression: (nodePath) => {
+        const { callee, arguments: args } = nodePath.node;
+        if (!t.isCallExpression(callee) || !t.isIdentifier(args[0])) return;
+
+        const hoc = callee.callee;
+        const name = t.isMemberExpression(hoc) ? hoc.property.name : hoc.name;
+        if (name === 'withTranslation') {
+          wrapped.set(args[0].name, this.getNamespaceArgument(callee.arguments[0]));
+        }
+      },
+    });
+
+    return wrapped;
+  }
+
+  /**
+   * Find the namespace and keyPrefix the translate function of a call was created with:
+   * `useTranslation('ns', { keyPrefix })`, `getFixedT(lng, 'ns', keyPrefix)`,
+   * the `t` of a `<Translation ns>` render prop,
+   * or the `t` prop of a component wrapped in `withTranslation('ns')`
+   */
+  getTranslationScope(nodePath, wrappedComponents, callee = nodePath.node.callee) {
+    const scope = { namespace: null, keyPrefix: null };
+
+    if (t.isIdentifier(callee)) {
+      const binding = nodePath.scope.getBinding(callee.name);
+      let init = binding && t.isVariableDeclarator(binding.path.node) ? binding.path.node.init : null;
+      if (t.isAwaitExpression(init)) init = init.argument;
+
+      if (t.isCallExpression(init)) {
+        const factory = t.isMemberExpression(init.callee) ? init.callee.property : init.callee;
+        const args = init.arguments;
+
+        if (t.isIdentifier(factory, { name: 'useTranslation' })) {
+          scope.namespace = this.getNamespaceArgument(args[0]);
+          const prefix = t.isObjectExpression(args[1]) && args[1].properties.find((prop) =>
+            t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name: 'keyPrefix' }));
+          if (prefix && t.isStringLiteral(prefix.value)) {
+            scope.keyPrefix = prefix.value.value;
+          }
+          return scope;
+        }
+
+        if (t.isIdentifier(factory, { name: 'getFixedT' })) {
+          scope.namespace = this.getNamespaceArgument(args[1]);
+          if (t.isStringLiteral(args[2])) {
+            scope.keyPrefix = args[2].value;
+          }
+          return scope;
+        }
+      }
+
+      // <Translation ns="settings" keyPrefix="profile">{(t) => ...}</Translation>
+      const renderProp = binding && binding.kind === 'param' ? binding.path.getFunctionParent() : null;
+      const container = renderProp && renderProp.parentPath;
+      if (container && t.isJSXExpressionContainer(container.node) && t.isJSXElement(container.parent) &&
+          this.isI18nComponent(container.parentPath.get('openingElement'), ['Translation'])) {
+        container.parent.openingElement.attributes.forEach((attribute) => {
+          if (!t.isJSXAttribute(attribute) || !t.isStringLiteral(attribute.value)) return;
+          if (attribute.name.name === 'ns') scope.namespace = attribute.value.value;
+          if (attribute.name.name === 'keyPrefix') scope.keyPrefix = attribute.value.value;
+        });
+        return scope;
+      }
+    }
+
+    // t from props: use the namespace of the enclosing withTranslation() component
+    if (wrappedComponents.size > 0) {
+      let current = nodePath.parentPath;
+      while (current) {
+        const { node, parent } = current;
+        let name = null;
+
+        if ((t.isClassDeclaration(node) || t.isFunctionDeclaration(node)) && node.id) {
+          name = node.id.name;
+        } else if (t.isFunction(node) && t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) {
+          name = parent.id.name;
+        }
+
+        if (name && wrappedComponents.has(name)) {
+          scope.namespace = wrappedComponents.get(name);
+          break;
+        }
+        current = current.parentPath;
+      }
+    }
+
+    return scope;
+  }
+
+  /**
+   * Apply a call's namespace and keyPrefix to a key.
+   * An explicit `ns:key` or `{ ns }` option wins over the bound namespace.
+   */
+  applyTranslationScope(rawKey, scope, optionsArg) {
+    const { nsSeparator } = this.config;
+    let key = rawKey;
+    let namespace = scope.namespace;
+
+    const nsOption = t.isObjectExpression(optionsArg) && optionsArg.properties.find((prop) =>
+      t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name: 'ns' }));
+    if (nsOption) {
+      namespace = this.getNamespaceArgument(nsOption.value) ?? namespace;
+    }
+
+    const separatorIndex = nsSeparator ? key.indexOf(nsSeparator) : -1;
+    if (separatorIndex > 0 && /^[\w-]+$/.test(key.slice(0, separatorIndex))) {
+      return {
+        key: key.slice(separatorIndex + nsSeparator.length),
+        namespace: key.slice(0, separatorIndex),
+      };
+    }
+
+    if (scope.keyPrefix) {
+      key = `${scope.keyPrefix}.${key}`;
+    }
+
+    return { key, namespace };
+  }
+
+  /**
+   * Get the `ns:key` form of a used key, falling back to the default namespace
+   */
+  getQualifiedKey(keyInfo) {
+    return `${keyInfo.namespace || this.config.defaultNamespace}${this.config.nsSeparator || ':'}${keyInfo.key}`;
+  }
+
+  /**
+   * Resolve a key expression into every key it can produce.
+   * Parts that can't be known statically become KEY_WILDCARD.
+   */
+  resolveKeyExpression(node) {
+    const MAX_KEYS = 50;
+
+    // Every combination of the possible values of each part
+    const combine = (parts) => {
+      const keys = parts.reduce((prefixes, options) => {
+        const next = [];
+        prefixes.forEach((prefix) => options.forEach((option) => next.push(prefix + option)));
+        return next;
+      }, ['']);
+      return keys.length > MAX_KEYS ? [KEY_WILDCARD] : keys;
+    };
+
+    let keys;
+
+    if (t.isStringLiteral(node)) {
+      keys = [node.value];
+    } else if (t.isTemplateLiteral(node)) {
+      const parts = [];
+      node.quasis.forEach((quasi, index) => {
+        parts.push([quasi.value.cooked ?? quasi.value.raw]);
+        if (index < node.expressions.length) {
+          parts.push(this.resolveKeyExpression(node.expressions[index]));
+        }
+      });
+      keys = combine(parts);
+    } else if (t.isConditionalExpression(node)) {
+      keys = [
+        ...this.resolveKeyExpression(node.consequent),
+        ...this.resolveKeyExpression(node.alternate),
+      ];
+    } else if (t.isLogicalExpression(node)) {
+      keys = [
+        ...this.resolveKeyExpression(node.left),
+        ...this.resolveKeyExpression(node.right),
+      ];
+    } else if (t.isBinaryExpression(node, { operator: '+' })) {
+      keys = combine([this.resolveKeyExpression(node.left), this.resolveKeyExpression(node.right)]);
+    } else if (t.isTSAsExpression(node) || t.isTSNonNullExpression(node) || t.isParenthesizedExpression(node)) {
+      keys = this.resolveKeyExpression(node.expression);
+    } else {
+      keys = [KEY_WILDCARD];
+    }
 
-      // Store mapping for reference
-      keyMap[result.value] = {
-        key: finalFullKey,
-        file: result.file,
-        line: result.line,
-      };
-    });
+    return [...new Set(keys.map((key) => key.replace(/\0+/g, KEY_WILDCARD)))];
+  }
 
-    // Write translation file
-    fs.writeFileSync(outputPath, JSON.stringify(translations, null, 2));
-    console.log(chalk.green(`\n✅ Generated i18n file: ${outputPath}`));
-    console.log(chalk.gray(`   Contains ${Object.keys(keyMap).length} translation keys\n`));
+  /**
+   * Check if a key matches a dynamic key pattern like `errors.*`
+   */
+  matchesKeyPattern(key, pattern) {
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.+');
+    return new RegExp(`^${source}$`).test(key);
+  }
 
-    // Also write key mapping file for reference
-    const mapPath = outputPath.replace(/\.json$/, '.keymap.json');
-    fs.writeFileSync(mapPath, JSON.stringify(keyMap, null, 2));
-    console.log(chalk.gray(`   Key mapping saved to: ${mapPath}\n`));
+  /**
+   * Get the variable names passed in the options object of a t() call.
+   * Returns null when they can't be known statically (spread, variable options).
+   */
+  getCallVariables(optionsArg) {
+    if (!optionsArg) return [];
+    if (!t.isObjectExpression(optionsArg)) return null;
+
+    const variables = [];
+    for (const property of optionsArg.properties) {
+      if (!t.isObjectProperty(property) && !t.isObjectMethod(property)) return null;
+      if (property.computed) return null;
+
+      if (t.isIdentifier(property.key)) {
+        variables.push(property.key.name);
+      } else if (t.isStringLiteral(property.key)) {
+        variables.push(property.key.value);
+      }
+    }
 
-    return translations;
+    return variables;
   }
 
   /**
-   * Extract i18n keys used in the codebase
+   * Get the i18next `context` option of a t() call: the literal value,
+   * '*' when it is dynamic, or undefined when there is none
    */
-  extractUsedKeys(filePath) {
-    try {
-      const content = fs.readFileSync(filePath, 'utf-8');
-
-      const ast = parser.parse(content, {
-        sourceType: 'module',
-        plugins: [
-          'jsx',
-          'typescript',
-          'classProperties',
-          'decorators-legacy',
-          'dynamicImport',
-          'exportDefaultFrom',
-          'exportNamespaceFrom',
-          'functionBind',
-          'nullishCoalescingOperator',
-          'optionalChaining',
-        ],
-      });
+  getCallContext(optionsArg) {
+    if (!t.isObjectExpression(optionsArg)) return undefined;
 
-      traverse.default(ast, {
-        CallExpression: (nodePath) => {
-          const callee = nodePath.node.callee;
-          let isI18nCall = false;
-          let functionName = '';
-
-          // Check direct function call: t('key')
-          if (t.isIdentifier(callee) && 
-              this.config.i18nFunctionNames.includes(callee.name)) {
-            isI18nCall = true;
-            functionName = callee.name;
-          }
+    const property = optionsArg.properties.find((prop) =>
+      t.isObjectProperty(prop) &&
+      !prop.computed &&
+      (t.isIdentifier(prop.key, { name: 'context' }) || t.isStringLiteral(prop.key, { value: 'context' }))
+    );
+    if (!property) return undefined;
 
-          // Check member expression: i18n.t('key')
-          if (t.isMemberExpression(callee) && 
-              t.isIdentifier(callee.property) &&
-              this.config.i18nFunctionNames.includes(callee.property.name)) {
-            isI18nCall = true;
-            functionName = callee.property.name;
-          }
+    return t.isStringLiteral(property.value) ? property.value.value : '*';
+  }
 
-          if (isI18nCall && nodePath.node.arguments.length > 0) {
-            const firstArg = nodePath.node.arguments[0];
-            
-            // String literal key
-            if (t.isStringLiteral(firstArg)) {
-              this.usedKeys.push({
-                key: firstArg.value,
-                file: filePath,
-                line: firstArg.loc?.start.line,
-                column: firstArg.loc?.start.column,
-                function: functionName,
-              });
-            }
-            
-            // Template literal with no expressions (static key)
-            if (t.isTemplateLiteral(firstArg) && firstArg.expressions.length === 0) {
-              const key = firstArg.quasis[0].value.cooked;
-              this.usedKeys.push({
-                key,
-                file: filePath,
-                line: firstArg.loc?.start.line,
-                column: firstArg.loc?.start.column,
-                function: functionName,
-              });
-            }
-          }
-        },
+  /**
+   * Find the defined keys a t() call can resolve to, including i18next
+   * context (`key_male`) and plural (`key_one`, `key_ordinal_few`) variants
+   */
+  resolveUsedKey(keyInfo, definedKeys, pluralGroups) {
+    const { key, variables = [], context } = keyInfo;
+    const unknownOptions = variables === null;
+    const bases = [key];
+
+    if (context === '*' || unknownOptions) {
+      definedKeys.forEach((definedKey) => {
+        if (definedKey.startsWith(`${key}_`) && !parsePluralKey(definedKey)) {
+          bases.push(definedKey);
+        }
       });
-
-    } catch (error) {
-      // Silently skip files that can't be parsed
+      pluralGroups.forEach((_, base) => {
+        if (base.startsWith(`${key}_`)) {
+          bases.push(base);
+        }
+      });
+    } else if (context) {
+      bases.push(`${key}_${context}`);
     }
+
+    const isPlural = unknownOptions || variables.includes('count');
+    const matches = [];
+
+    bases.forEach((base) => {
+      if (definedKeys.has(base)) {
+        matches.push(base);
+      }
+      if (isPlural && pluralGroups.has(base)) {
+        const group = pluralGroups.get(base);
+        group.cardinal.forEach((category) => matches.push(getPluralKey(base, category)));
+        group.ordinal.forEach((category) => matches.push(getPluralKey(base, category, true)));
+      }
+    });
+
+    return matches;
   }
 
   /**
@@ -820,26 +2386,47 @@ class I18nStringFinder {
 
     console.log(chalk.gray(`Scanning ${files.length} files for i18n keys\n`));
 
+    files.sort();
+    await this.analyzeFiles(files);
+
     files.forEach((file) => {
       this.extractUsedKeys(file);
     });
 
+    this.cache.save();
+
     console.log(chalk.gray(`Found ${this.usedKeys.length} i18n key usages\n`));
+    if (this.dynamicKeys.length > 0) {
+      console.log(chalk.gray(`Found ${this.dynamicKeys.length} dynamic key patterns\n`));
+    }
   }
 
   /**
    * Get all keys from a translation file (flattened)
    */
   getTranslationKeys(translationPath) {
+    const values = this.getTranslationValues(translationPath);
+    return values ? new Set(values.keys()) : null;
+  }
+
+  /**
+   * Get all key -> value pairs from a translation file (flattened)
+   */
+  getTranslationValues(translationPath) {
     if (!fs.existsSync(translationPath)) {
       console.log(chalk.red(`\n❌ Translation file not found: ${translationPath}\n`));
       return null;
     }
 
-    const content = fs.readFileSync(translationPath, 'utf-8');
-    const translations = JSON.parse(content);
+    let translations;
+    try {
+      translations = JSON.parse(fs.readFileSync(translationPath, 'utf-8'));
+    } catch (error) {
+      console.log(chalk.red(`\n❌ Error parsing translation file ${translationPath}: ${error.message}\n`));
+      return null;
+    }
     
-    const keys = new Set();
+    const values = new Map();
     
     const extractKeys = (obj, prefix = '') => {
       for (const [key, value] of Object.entries(obj)) {
@@ -847,13 +2434,55 @@ class I18nStringFinder {
         if (typeof value === 'object' && value !== null) {
           extractKeys(value, fullKey);
         } else {
-          keys.add(fullKey);
+          values.set(fullKey, value);
         }
       }
     };
     
     extractKeys(translations);
-    return keys;
+    return values;
+  }
+
+  /**
+   * Load every locale in a directory.
+   * Supports `<dir>/<lng>.json` and `<dir>/<lng>/<ns>.json` (keys prefixed with `ns:`).
+   */
+  async loadLocales(localesDir) {
+    const files = await glob(['*.json', '*/*.json'], {
+      cwd: localesDir,
+      ignore: ['**/*.keymap.json', '**/*.locations.json'],
+    });
+
+    const locales = new Map();
+    const invalidLocales = new Set();
+
+    files.sort().forEach((file) => {
+      const parts = file.split(/[\\/]/);
+      const locale = parts.length > 1 ? parts[0] : parts[0].replace(/\.json$/, '');
+      const ns = parts.length > 1 ? parts[1].replace(/\.json$/, '') : null;
+      if (invalidLocales.has(locale)) return;
+
+      // A locale with an unreadable file is skipped as a whole rather than checked with keys missing
+      const values = this.getTranslationValues(path.join(localesDir, file));
+      if (!values) {
+        console.log(chalk.yellow(`   Skipping locale "${locale}"\n`));
+        invalidLocales.add(locale);
+        locales.delete(locale);
+        return;
+      }
+
+      if (!locales.has(locale)) {
+        locales.set(locale, { files: [], values: new Map(), namespaced: Boolean(ns) });
+      }
+
+      const entry = locales.get(locale);
+      entry.files.push(path.join(localesDir, file));
+      values.forEach((value, key) => {
+        entry.values.set(ns ? `${ns}:${key}` : key, value);
+      });
+    });
+
+    return locales;
   }
 
   /**
@@ -933,9 +2562,42 @@ class I18nStringFinder {
     const translations = JSON.parse(content);
     collectValues(translations);
 
+    // JSON.parse keeps only the last of repeated keys, so find those in the source text.
+    // A repeated parent object is reported once rather than once per nested key.
+    const keyLocations = locateJsonKeys(content);
+    const locationsByKey = new Map();
+    keyLocations.forEach((location) => {
+      if (!locationsByKey.has(location.key)) locationsByKey.set(location.key, []);
+      locationsByKey.get(location.key).push(location);
+    });
+
+    const repeatedKeys = [...locationsByKey.keys()].filter((key) => locationsByKey.get(key).length > 1);
+    repeatedKeys.forEach((key) => {
+      const isNested = repeatedKeys.some((other) => key.startsWith(`${other}.`));
+      if (isNested || duplicates.some((dup) => dup.key === key)) return;
+
+      const occurrences = locationsByKey.get(key);
+      duplicates.push({
+        key,
+        value: occurrences[occurrences.length - 1].value,
+        existingValue: occurrences[0].value,
+      });
+    });
+
+    duplicates.forEach((dup) => {
+      dup.locations = (locationsByKey.get(dup.key) || []).map(({ line, column }) => ({ line, column }));
+    });
+
     const duplicateValues = Object.entries(valueToKeys)
       .filter(([_, keys]) => keys.length > 1)
-      .map(([value, keys]) => ({ value, keys }));
+      .map(([value, keys]) => ({
+        value,
+        keys,
+        locations: keys.map((key) => {
+          const location = (locationsByKey.get(key) || [])[0];
+          return location ? { key, line: location.line, column: location.column } : { key };
+        }),
+      }));
 
     // Report
     console.log(chalk.blue.bold('📊 Duplicate Check Results\n'));
@@ -1033,6 +2695,7 @@ class I18nStringFinder {
     
     // Reset used keys and scan
     this.usedKeys = [];
+    this.dynamicKeys = [];
     await this.scanUsedKeys(rootPath);
 
     // Find usages of the matching keys
@@ -1103,6 +2766,7 @@ class I18nStringFinder {
     // Step 1: Extract existing keys
     console.log(chalk.cyan('Step 1: Extracting existing i18n keys...\n'));
     this.usedKeys = [];
+    this.dynamicKeys = [];
     await this.scanUsedKeys(rootPath);
     
     const existingKeys = new Map();
@@ -1115,6 +2779,14 @@ class I18nStringFinder {
           locations: [],
         });
       }
+      // react-intl descriptors and <Trans> children carry their source text
+      const existing = existingKeys.get(keyInfo.key);
+      if (keyInfo.defaultValue !== undefined && existing.value === placeholder) {
+        existing.value = keyInfo.defaultValue;
+      }
+      if (keyInfo.description && !existing.description) {
+        existing.description = keyInfo.description;
+      }
       existingKeys.get(keyInfo.key).locations.push({
         file: keyInfo.file,
         line: keyInfo.line,
@@ -1126,7 +2798,7 @@ class I18nStringFinder {
     // Step 2: Scan for hardcoded strings
     console.log(chalk.cyan('Step 2: Scanning for hardcoded strings...\n'));
     this.results = [];
-    this.stats = { filesScanned: 0, filesWithIssues: 0, totalStrings: 0, stringsByType: {} };
+    this.stats = { filesScanned: 0, filesWithIssues: 0, totalStrings: 0, stringsByType: {}, belowMinConfidence: 0 };
     await this.scanProject(rootPath);
 
     console.log(chalk.gray(`   Found ${this.results.length} hardcoded strings\n`));
@@ -1207,6 +2879,7 @@ class I18nStringFinder {
       keymap[fullKey] = {
         value: keyData.value,
         source: keyData.source,
+        ...(keyData.description && { description: keyData.description }),
         locations: keyData.locations.map((loc) => ({
           file: path.relative(rootPath, loc.file),
           line: loc.line,
@@ -1251,12 +2924,14 @@ class I18nStringFinder {
       }
     }
 
+    const emptyKeys = Array.from(existingKeys.values()).filter((keyData) => keyData.value === placeholder).length;
+
     console.log(chalk.cyan('\n💡 Next steps:'));
-    if (existingKeys.size > 0) {
+    if (emptyKeys > 0) {
       console.log(chalk.white('   1. Fill in translation values for existing keys (currently empty)'));
     }
-    console.log(chalk.white(`   ${existingKeys.size > 0 ? '2' : '1'}. Replace hardcoded strings with t() calls using the keymap`));
-    console.log(chalk.white(`   ${existingKeys.size > 0 ? '3' : '2'}. Run validation: i18n-finder --validate=${outputPath}`));
+    console.log(chalk.white(`   ${emptyKeys > 0 ? '2' : '1'}. Replace hardcoded strings with t() calls using the keymap`));
+    console.log(chalk.white(`   ${emptyKeys > 0 ? '3' : '2'}. Run validation: i18n-finder --validate=${outputPath}`));
     
     console.log(chalk.gray('\n' + '='.repeat(80) + '\n'));
 
@@ -1282,6 +2957,7 @@ class I18nStringFinder {
 
     // Scan for used keys
     this.usedKeys = [];
+    this.dynamicKeys = [];
     await this.scanUsedKeys(rootPath);
 
     if (this.usedKeys.length === 0) {
@@ -1298,7 +2974,15 @@ class I18nStringFinder {
           locations: [],
         });
       }
-      uniqueKeys.get(keyInfo.key).locations.push({
+      // react-intl descriptors and <Trans> children carry their source text, descriptors a note for translators
+      const keyData = uniqueKeys.get(keyInfo.key);
+      if (keyInfo.defaultValue !== undefined && keyData.defaultValue === undefined) {
+        keyData.defaultValue = keyInfo.defaultValue;
+      }
+      if (keyInfo.description && !keyData.description) {
+        keyData.description = keyInfo.description;
+      }
+      keyData.locations.push({
         file: keyInfo.file,
         line: keyInfo.line,
         column: keyInfo.column,
@@ -1331,7 +3015,7 @@ class I18nStringFinder {
       }
       
       const lastPart = parts[parts.length - 1];
-      current[lastPart] = placeholder;
+      current[lastPart] = keyData.defaultValue ?? placeholder;
     });
 
     // Write translation file
@@ -1387,40 +3071,426 @@ class I18nStringFinder {
     return { translations, keys: keyList };
   }
 
+  /**
+   * Validate all locales in a directory against a reference locale
+   */
+  async validateLocales(localesDir, options = {}) {
+    const { referenceLocale = 'en' } = options;
+
+    console.log(chalk.blue.bold('\n🌍 Validating locales...\n'));
+
+    if (!fs.existsSync(localesDir) || !fs.statSync(localesDir).isDirectory()) {
+      console.log(chalk.red(`\n❌ Locales directory not found: ${localesDir}\n`));
+      return null;
+    }
+
+    const locales = await this.loadLocales(localesDir);
+    if (!locales.has(referenceLocale)) {
+      console.log(chalk.red(`\n❌ Reference locale "${referenceLocale}" not found in ${localesDir}\n`));
+      console.log(chalk.gray(`   Available locales: ${Array.from(locales.keys()).join(', ') || 'none'}\n`));
+      return null;
+    }
+
+    console.log(chalk.gray(`Found ${locales.size} locales: ${Array.from(locales.keys()).join(', ')}\n`));
+
+    const reference = locales.get(referenceLocale).values;
+    const referenceGroups = getPluralGroups(reference.keys());
+    const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+    const report = {};
+
+    locales.forEach(({ files, values }, locale) => {
+      const isReference = locale === referenceLocale;
+      const missingKeys = [];
+      const extraKeys = [];
+      const untranslatedKeys = [];
+
+      // Plural keys are expected in the forms this locale needs, not the ones the reference has
+      const expected = new Map();
+      reference.forEach((sourceValue, key) => {
+        const plural = parsePluralKey(key);
+        if (!plural || !referenceGroups.has(plural.base)) {
+          expected.set(key, sourceValue);
+        }
+      });
+      referenceGroups.forEach((group, base) => {
+        [false, true].forEach((ordinal) => {
+          if ((ordinal ? group.ordinal : group.cardinal).size === 0) return;
+          getPluralCategories(locale, ordinal).forEach((category) => {
+            const key = getPluralKey(base, category, ordinal);
+            expected.set(key, reference.get(key));
+          });
+        });
+      });
+
+      expected.forEach((sourceValue, key) => {
+        if (!values.has(key)) {
+          missingKeys.push(key);
+          return;
+        }
+
+        const value = values.get(key);
+        if (isEmpty(value) || (!isReference && value === sourceValue)) {
+          untranslatedKeys.push(key);
+        }
+      });
+
+      values.forEach((_, key) => {
+        if (expected.has(key)) return;
+
+        // The optional `_zero` form is allowed for every locale
+        const plural = parsePluralKey(key);
+        if (plural && plural.category === 'zero' && referenceGroups.has(plural.base)) return;
+
+        extraKeys.push(key);
+      });
+
+      const missingPluralForms = [
+        ...missingKeys
+          .filter((key) => parsePluralKey(key) && referenceGroups.has(parsePluralKey(key).base))
+          .map((key) => ({ key, form: parsePluralKey(key).category, type: 'suffix' })),
+        ...findMissingPluralForms(values, locale, new Map()),
+      ];
+
+      const translatedKeys = expected.size - missingKeys.length - untranslatedKeys.length;
+
+      report[locale] = {
+        files: files.map((file) => path.relative(process.cwd(), file)),
+        totalKeys: expected.size,
+        translatedKeys,
+        completion: expected.size > 0 ? Math.round((translatedKeys / expected.size) * 1000) / 10 : 100,
+        missingKeys,
+        extraKeys,
+        untranslatedKeys,
+        missingPluralForms,
+      };
+    });
+
+    // Report
+    console.log(chalk.blue.bold('📊 Locale Validation Results\n'));
+    console.log(chalk.gray('='.repeat(80)));
+
+    console.log(chalk.cyan(`\nCompletion (reference: ${referenceLocale}, ${reference.size} keys):`));
+    Object.entries(report).forEach(([locale, data]) => {
+      const color = data.completion === 100 ? chalk.green : data.completion >= 80 ? chalk.yellow : chalk.red;
+      console.log(
+        color(`  ${locale.padEnd(8)} ${`${data.completion}%`.padStart(6)}`) +
+        chalk.gray(`  (${data.translatedKeys}/${data.totalKeys})`) +
+        chalk.white(`  missing: ${data.missingKeys.length}, extra: ${data.extraKeys.length}, untranslated: ${data.untranslatedKeys.length}`)
+      );
+    });
+
+    const printKeys = (keys) => {
+      keys.slice(0, 20).forEach((key) => {
+        console.log(chalk.gray(`     • ${key}`));
+      });
+      if (keys.length > 20) {
+        console.log(chalk.gray(`     ... and ${keys.length - 20} more`));
+      }
+    };
+
+    Object.entries(report).forEach(([locale, data]) => {
+      if (data.missingKeys.length === 0 && data.extraKeys.length === 0 &&
+          data.untranslatedKeys.length === 0 && data.missingPluralForms.length === 0) {
+        return;
+      }
+
+      console.log(chalk.blue.bold(`\n🌐 ${locale}`));
+
+      if (data.missingKeys.length > 0) {
+        console.log(chalk.red(`   ❌ Missing keys (${data.missingKeys.length}):`));
+        printKeys(data.missingKeys);
+      }
+      if (data.extraKeys.length > 0) {
+        console.log(chalk.yellow(`   ⚠️  Extra keys not in ${referenceLocale} (${data.extraKeys.length}):`));
+        printKeys(data.extraKeys);
+      }
+      if (data.untranslatedKeys.length > 0) {
+        console.log(chalk.yellow(`   ⚠️  Untranslated keys (${data.untranslatedKeys.length}):`));
+        printKeys(data.untranslatedKeys);
+      }
+      if (data.missingPluralForms.length > 0) {
+        console.log(chalk.red(`   ❌ Missing plural forms for ${locale} (${data.missingPluralForms.length}):`));
+        printKeys(data.missingPluralForms.map(({ key, form, type }) => (type === 'icu' ? `${key} (ICU: ${form})` : key)));
+      }
+    });
+
+    if (Object.values(report).every((data) =>
+      data.completion === 100 && data.extraKeys.length === 0 && data.missingPluralForms.length === 0)) {
+      console.log(chalk.green.bold('\n✅ All locales are complete!\n'));
+    }
+
+    console.log(chalk.gray('\n' + '='.repeat(80) + '\n'));
+
+    return {
+      referenceLocale,
+      locales: report,
+    };
+  }
+
+  /**
+   * Check that interpolation placeholders match between locales and t() call sites
+   */
+  async checkPlaceholders(rootPath, localesDir, options = {}) {
+    const { referenceLocale = 'en' } = options;
+
+    console.log(chalk.blue.bold('\n🧩 Checking interpolation placeholders...\n'));
+
+    if (!fs.existsSync(localesDir) || !fs.statSync(localesDir).isDirectory()) {
+      console.log(chalk.red(`\n❌ Locales directory not found: ${localesDir}\n`));
+      return null;
+    }
+
+    const locales = await this.loadLocales(localesDir);
+    if (!locales.has(referenceLocale)) {
+      console.log(chalk.red(`\n❌ Reference locale "${referenceLocale}" not found in ${localesDir}\n`));
+      return null;
+    }
+
+    const reference = locales.get(referenceLocale).values;
+    const expectedByKey = new Map();
+    reference.forEach((value, key) => {
+      expectedByKey.set(key, parsePlaceholders(value));
+    });
+
+    // Compare every translation against the reference placeholders
+    const localeIssues = [];
+    locales.forEach(({ values }, locale) => {
+      if (locale === referenceLocale) return;
+
+      values.forEach((value, key) => {
+        if (!expectedByKey.has(key) || typeof value !== 'string' || value.trim() === '') return;
+
+        const comparison = comparePlaceholders(expectedByKey.get(key), parsePlaceholders(value));
+        if (comparison.missing.length || comparison.extra.length || comparison.misspelled.length) {
+          localeIssues.push({ key, locale, value, ...comparison });
+        }
+      });
+    });
+
+    // Compare the variables passed at each call site against the reference placeholders
+    this.usedKeys = [];
+    this.dynamicKeys = [];
+    await this.scanUsedKeys(rootPath);
+
+    const callSiteIssues = [];
+    this.usedKeys.forEach((keyInfo) => {
+      const expectedNames = expectedByKey.get(keyInfo.key) || expectedByKey.get(this.getQualifiedKey(keyInfo));
+      if (!keyInfo.variables || !expectedNames) return;
+
+      const expected = new Set([...expectedNames].map((name) => name.split('.')[0]));
+      const passed = new Set(keyInfo.variables.filter((name) => !I18NEXT_OPTION_NAMES.includes(name)));
+      const comparison = comparePlaceholders(expected, passed);
+
+      // `count` is only an interpolation variable if the message uses it
+      comparison.extra = comparison.extra.filter((name) => name !== 'count');
+
+      if (comparison.missing.length || comparison.extra.length || comparison.misspelled.length) {
+        callSiteIssues.push({
+          key: keyInfo.key,
+          file: keyInfo.file,
+          line: keyInfo.line,
+          column: keyInfo.column,
+          function: keyInfo.function,
+          ...comparison,
+        });
+      }
+    });
+
+    // Report
+    console.log(chalk.blue.bold('📊 Placeholder Check Results\n'));
+    console.log(chalk.gray('='.repeat(80)));
+
+    console.log(chalk.cyan('\nSummary:'));
+    console.log(chalk.white(`  Keys with placeholders in ${referenceLocale}: ${[...expectedByKey.values()].filter((names) => names.size > 0).length}`));
+    console.log(chalk.white(`  Translation mismatches: ${localeIssues.length}`));
+    console.log(chalk.white(`  Call site mismatches: ${callSiteIssues.length}`));
+
+    const describe = ({ missing, extra, misspelled }) => [
+      ...missing.map((name) => chalk.red(`missing {${name}}`)),
+      ...extra.map((name) => chalk.yellow(`unknown {${name}}`)),
+      ...misspelled.map(({ expected, found }) => chalk.magenta(`{${found}} should be {${expected}}`)),
+    ].join(chalk.gray(', '));
+
+    if (localeIssues.length > 0) {
+      console.log(chalk.red.bold(`\n❌ Translations with mismatched placeholders (${localeIssues.length}):\n`));
+
+      const byKey = {};
+      localeIssues.forEach((issue) => {
+        if (!byKey[issue.key]) byKey[issue.key] = [];
+        byKey[issue.key].push(issue);
+      });
+
+      Object.entries(byKey).forEach(([key, issues]) => {
+        console.log(chalk.yellow(`   • ${key}`));
+        console.log(chalk.gray(`     ${referenceLocale}: "${reference.get(key)}"`));
+        issues.forEach((issue) => {
+          console.log(chalk.gray(`     ${issue.locale}: "${issue.value}" - `) + describe(issue));
+        });
+      });
+    }
+
+    if (callSiteIssues.length > 0) {
+      console.log(chalk.red.bold(`\n❌ Calls with mismatched variables (${callSiteIssues.length}):\n`));
+      callSiteIssues.forEach((issue) => {
+        console.log(chalk.blue(`   📄 ${this.formatFileLink(issue.file, issue.line, issue.column)}`));
+        console.log(chalk.gray(`      ${issue.function}('${issue.key}') - `) + describe(issue));
+      });
+    }
+
+    if (localeIssues.length === 0 && callSiteIssues.length === 0) {
+      console.log(chalk.green.bold('\n✅ All placeholders match!\n'));
+    }
+
+    console.log(chalk.gray('\n' + '='.repeat(80) + '\n'));
+
+    return {
+      referenceLocale,
+      localeIssues,
+      callSiteIssues,
+    };
+  }
+
+  /**
+   * Load the keys to validate against: a translation file, or all namespaces of a locale
+   * in a locales directory. Returns null when they can't be loaded.
+   */
+  async loadDefinedKeys(translationPath, options = {}) {
+    if (!fs.existsSync(translationPath) || !fs.statSync(translationPath).isDirectory()) {
+      return this.loadDefinedKeysFromFile(translationPath, options);
+    }
+
+    const locale = options.locale || options.referenceLocale || 'en';
+    const locales = await this.loadLocales(translationPath);
+    if (!locales.has(locale)) {
+      console.log(chalk.red(`\n❌ Locale "${locale}" not found in ${translationPath}\n`));
+      return null;
+    }
+
+    const { values, namespaced, files } = locales.get(locale);
+    return createDefinedKeys(values, { locale, files, namespaced, fileNamespace: null });
+  }
+
+  /**
+   * Load the keys of a single translation file, synchronously (see `loadDefinedKeys`)
+   */
+  loadDefinedKeysFromFile(translationPath, options = {}) {
+    const definedValues = this.getTranslationValues(translationPath);
+    if (!definedValues) return null;
+
+    // A single `<lng>/<ns>.json` file only covers calls in its namespace
+    const pathLocale = getLocaleFromPath(translationPath);
+    const fileName = path.basename(translationPath, '.json');
+
+    return createDefinedKeys(definedValues, {
+      locale: options.locale || pathLocale,
+      files: [translationPath],
+      namespaced: false,
+      fileNamespace: pathLocale && pathLocale !== fileName ? fileName : null,
+    });
+  }
+
+  /**
+   * Map every key of some translation files to its position, using `ns:key` for `<lng>/<ns>.json` files
+   */
+  locateTranslationKeys(files, namespaced = false) {
+    const locations = new Map();
+
+    files.forEach((file) => {
+      if (!fs.existsSync(file)) return;
+      const ns = namespaced ? path.basename(file, '.json') : null;
+
+      locateJsonKeys(fs.readFileSync(file, 'utf-8')).forEach(({ key, line, column }) => {
+        const fullKey = ns ? `${ns}:${key}` : key;
+        if (!locations.has(fullKey)) {
+          locations.set(fullKey, { file, line, column });
+        }
+      });
+    });
+
+    return locations;
+  }
+
+  /**
+   * Get the used keys and dynamic patterns in the form the defined keys use:
+   * `ns:key` for locale directories, or only the calls in a `<lng>/<ns>.json` file's namespace
+   */
+  getKeyUsages(defined, usedKeys = this.usedKeys, dynamicKeys = this.dynamicKeys) {
+    const { namespaced, fileNamespace } = defined;
+
+    const inFileNamespace = (keyInfo) =>
+      !fileNamespace || (keyInfo.namespace || this.config.defaultNamespace) === fileNamespace;
+    const usages = namespaced
+      ? usedKeys.map((keyInfo) => ({ ...keyInfo, key: this.getQualifiedKey(keyInfo) }))
+      : usedKeys.filter(inFileNamespace);
+    const dynamicUsages = namespaced
+      ? dynamicKeys.map((dynamicKey) => ({
+        ...dynamicKey,
+        pattern: this.getQualifiedKey({ ...dynamicKey, key: dynamicKey.pattern }),
+      }))
+      : dynamicKeys.filter(inFileNamespace);
+
+    return { usages, dynamicUsages };
+  }
+
   /**
    * Validate i18n keys - find missing and unused keys
    */
-  async validateKeys(rootPath, translationPath) {
+  async validateKeys(rootPath, translationPath, options = {}) {
     console.log(chalk.blue.bold('\n🔍 Validating i18n keys...\n'));
 
-    // Get keys from translation file
-    const definedKeys = this.getTranslationKeys(translationPath);
-    if (!definedKeys) return;
+    // Get keys from translation file, or from all namespaces of a locale in a locales directory
+    const defined = await this.loadDefinedKeys(translationPath, options);
+    if (!defined) return;
+
+    const { definedValues, definedKeys, pluralGroups, locale, files: translationFiles, namespaced } = defined;
 
     console.log(chalk.gray(`Found ${definedKeys.size} keys in translation file\n`));
 
     // Scan for used keys
     await this.scanUsedKeys(rootPath);
 
+    // With `<lng>/<ns>.json` files every call is compared by its `ns:key`
+    const { usages, dynamicUsages } = this.getKeyUsages(defined);
+
     // Analyze
-    const usedKeySet = new Set(this.usedKeys.map(k => k.key));
+    const usedKeySet = new Set(usages.map(k => k.key));
+    const resolvedKeys = new Set(); // Defined keys reached by a call, incl. plural/context variants
     const missingKeys = []; // Used but not defined
     const unusedKeys = []; // Defined but not used
 
     // Find missing keys
-    this.usedKeys.forEach((keyInfo) => {
-      if (!definedKeys.has(keyInfo.key)) {
+    usages.forEach((keyInfo) => {
+      const matches = this.resolveUsedKey(keyInfo, definedKeys, pluralGroups);
+      if (matches.length === 0) {
         missingKeys.push(keyInfo);
       }
+      matches.forEach((key) => resolvedKeys.add(key));
     });
 
-    // Find unused keys
+    // Find unused keys - keys matching a dynamic pattern are only possibly used
+    const patterns = [...new Set(dynamicUsages.map((dynamicKey) => dynamicKey.pattern))];
+    const possiblyUsedKeys = [];
+
     definedKeys.forEach((key) => {
-      if (!usedKeySet.has(key)) {
+      if (resolvedKeys.has(key)) return;
+
+      const pattern = patterns.find((p) => this.matchesKeyPattern(key, p));
+      if (pattern) {
+        possiblyUsedKeys.push({ key, pattern });
+      } else {
         unusedKeys.push(key);
       }
     });
 
+    // Find plural forms the locale needs but the file lacks
+    const missingPluralForms = locale ? findMissingPluralForms(definedValues, locale, pluralGroups) : [];
+
+    // Keys defined with an empty value, e.g. placeholders left by --extract-keys
+    const untranslatedKeys = [...definedKeys].filter((key) => {
+      const value = definedValues.get(key);
+      return typeof value === 'string' && value.trim() === '';
+    });
+
     // Report
     console.log(chalk.blue.bold('\n📊 Validation Results\n'));
     console.log(chalk.gray('='.repeat(80)));
@@ -1430,6 +3500,15 @@ class I18nStringFinder {
     console.log(chalk.white(`  Keys used in code: ${usedKeySet.size}`));
     console.log(chalk.white(`  Missing keys (used but not defined): ${missingKeys.length}`));
     console.log(chalk.white(`  Unused keys (defined but not used): ${unusedKeys.length}`));
+    if (untranslatedKeys.length > 0) {
+      console.log(chalk.white(`  Untranslated keys (empty values): ${untranslatedKeys.length}`));
+    }
+    if (patterns.length > 0) {
+      console.log(chalk.white(`  Possibly used keys (matched by dynamic keys): ${possiblyUsedKeys.length}`));
+    }
+    if (locale) {
+      console.log(chalk.white(`  Missing plural forms (${locale}): ${missingPluralForms.length}`));
+    }
 
     if (missingKeys.length > 0) {
       console.log(chalk.red.bold(`\n❌ Missing Keys (${missingKeys.length}):`));
@@ -1462,24 +3541,373 @@ class I18nStringFinder {
       });
     }
 
-    if (missingKeys.length === 0 && unusedKeys.length === 0) {
+    if (patterns.length > 0) {
+      console.log(chalk.cyan.bold(`\n🔀 Dynamic Keys (${patterns.length}):`));
+      console.log(chalk.gray('   These keys are built at runtime, so matching keys are only possibly used:\n'));
+
+      patterns.forEach((pattern) => {
+        const matched = possiblyUsedKeys.filter((entry) => entry.pattern === pattern);
+        const usage = dynamicUsages.find((dynamicKey) => dynamicKey.pattern === pattern);
+        console.log(chalk.cyan(`   • ${pattern}`) + chalk.gray(` (${matched.length} keys)`));
+        console.log(chalk.gray(`     ${this.formatFileLink(usage.file, usage.line, usage.column)}`));
+        matched.slice(0, 10).forEach(({ key }) => {
+          console.log(chalk.gray(`       - ${key}`));
+        });
+        if (matched.length > 10) {
+          console.log(chalk.gray(`       ... and ${matched.length - 10} more`));
+        }
+      });
+    }
+
+    if (missingPluralForms.length > 0) {
+      console.log(chalk.red.bold(`\n❌ Missing Plural Forms (${missingPluralForms.length}):`));
+      console.log(chalk.gray(`   These plural forms are required by ${locale} but not defined:\n`));
+
+      missingPluralForms.forEach(({ key, form, type, argument }) => {
+        if (type === 'icu') {
+          console.log(chalk.gray(`   • ${key} - {${argument}, plural} has no "${form}" option`));
+        } else {
+          console.log(chalk.gray(`   • ${key}`));
+        }
+      });
+    }
+
+    if (missingKeys.length === 0 && unusedKeys.length === 0 && missingPluralForms.length === 0) {
       console.log(chalk.green.bold('\n✅ All keys are valid! No missing or unused keys found.\n'));
     }
 
     console.log(chalk.gray('\n' + '='.repeat(80) + '\n'));
 
     return {
+      locale,
       definedKeys: Array.from(definedKeys),
       usedKeys: Array.from(usedKeySet),
       missingKeys,
       unusedKeys,
+      possiblyUsedKeys,
+      untranslatedKeys,
+      dynamicKeys: dynamicUsages,
+      missingPluralForms,
+      translationFiles,
+      namespaced,
+    };
+  }
+
+  /**
+   * Rebuild results, used keys and stats from the per-file analyses of watch mode
+   */
+  applyFileAnalyses() {
+    this.results = [];
+    this.usedKeys = [];
+    this.dynamicKeys = [];
+    this.stats = { filesScanned: 0, filesWithIssues: 0, totalStrings: 0, stringsByType: {}, belowMinConfidence: 0 };
+
+    [...this.fileAnalyses.keys()].sort().forEach((filePath) => {
+      const analysis = this.fileAnalyses.get(filePath);
+      if (analysis.error) return;
+
+      this.stats.filesScanned++;
+      const results = analysis.results.filter((result) => this.meetsMinConfidence(result));
+      this.stats.belowMinConfidence += analysis.results.length - results.length;
+      if (results.length > 0) this.stats.filesWithIssues++;
+      results.forEach((result) => {
+        this.results.push(result);
+        this.stats.totalStrings++;
+        this.stats.stringsByType[result.type] = (this.stats.stringsByType[result.type] || 0) + 1;
+      });
+      this.usedKeys.push(...analysis.usedKeys);
+      this.dynamicKeys.push(...analysis.dynamicKeys);
+    });
+
+    this.resolveImportedStrings(new Map([...this.fileAnalyses].filter(([, analysis]) => !analysis.error)));
+  }
+
+  /**
+   * Group the current hardcoded strings and missing keys by identity, ignoring line numbers
+   * so that editing above a string doesn't report it as resolved and added again
+   */
+  getWatchSnapshot(defined) {
+    const group = (items, getId) => items.reduce((groups, item) => {
+      const id = getId(item);
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(item);
+      return groups;
+    }, new Map());
+
+    const missingKeys = defined
+      ? this.getKeyUsages(defined).usages.filter((keyInfo) =>
+        this.resolveUsedKey(keyInfo, defined.definedKeys, defined.pluralGroups).length === 0)
+      : [];
+
+    return {
+      strings: group(this.results, (result) => `${result.file}\0${result.type}\0${result.value}`),
+      missingKeys: group(missingKeys, (keyInfo) => `${keyInfo.file}\0${keyInfo.key}`),
+    };
+  }
+
+  /**
+   * Print the strings and missing keys added or resolved between two snapshots
+   */
+  printWatchChanges(previous, current, changedFiles) {
+    const diff = (before, after) => {
+      const added = [];
+      after.forEach((items, id) => {
+        const count = before.has(id) ? before.get(id).length : 0;
+        added.push(...items.slice(count));
+      });
+      return added;
+    };
+
+    const addedStrings = diff(previous.strings, current.strings);
+    const resolvedStrings = diff(current.strings, previous.strings);
+    const addedMissing = diff(previous.missingKeys, current.missingKeys);
+    const resolvedMissing = diff(current.missingKeys, previous.missingKeys);
+
+    const time = new Date().toLocaleTimeString();
+    const heading = changedFiles.length > 0 ? `${changedFiles.length} file(s) changed` : 'Translations reloaded';
+    console.log(chalk.blue.bold(`\n🔄 ${heading} (${time})`));
+
+    addedStrings.forEach((result) => {
+      console.log(chalk.yellow(`   + ${result.type}: "${result.value}"`) +
+        chalk.gray(`  ${this.formatFileLink(result.file, result.line, result.column)}`));
+    });
+    resolvedStrings.forEach((result) => {
+      console.log(chalk.green(`   ✓ ${result.type}: "${result.value}"`) +
+        chalk.gray(`  ${this.formatFileLink(result.file, result.line, result.column)}`));
+    });
+    addedMissing.forEach((keyInfo) => {
+      console.log(chalk.red(`   + Missing key: ${keyInfo.key}`) +
+        chalk.gray(`  ${this.formatFileLink(keyInfo.file, keyInfo.line, keyInfo.column)}`));
+    });
+    resolvedMissing.forEach((keyInfo) => {
+      console.log(chalk.green(`   ✓ Missing key: ${keyInfo.key}`) +
+        chalk.gray(`  ${this.formatFileLink(keyInfo.file, keyInfo.line, keyInfo.column)}`));
+    });
+
+    if (addedStrings.length + resolvedStrings.length + addedMissing.length + resolvedMissing.length === 0) {
+      console.log(chalk.gray('   No changes in findings'));
+    }
+
+    const missingCount = [...current.missingKeys.values()].reduce((sum, items) => sum + items.length, 0);
+    console.log(chalk.white(`   Now: ${this.results.length} hardcoded strings, ${missingCount} missing keys`));
+  }
+
+  /**
+   * Add used keys that aren't in the --complete file yet, keeping values that are already there
+   */
+  syncCompleteFile(completePath, options = {}) {
+    const { flat = false, placeholder = '' } = options;
+    const existingKeys = fs.existsSync(completePath) ? this.getTranslationKeys(completePath) : new Set();
+    if (!existingKeys) return;
+
+    const translations = {};
+    this.usedKeys.forEach((keyInfo) => {
+      if (!existingKeys.has(keyInfo.key) && !(keyInfo.key in translations)) {
+        translations[keyInfo.key] = keyInfo.defaultValue ?? placeholder;
+      }
+    });
+
+    const added = Object.keys(translations);
+    if (added.length > 0) {
+      this.mergeTranslations(completePath, translations, { flat });
+      console.log(chalk.cyan(`   Added ${added.length} keys to ${completePath}: ${added.slice(0, 5).join(', ')}` +
+        (added.length > 5 ? ', ...' : '')));
+    }
+  }
+
+  /**
+   * Watch the project, re-analyze changed files and print the strings and missing keys
+   * added or resolved since the last change. Keeps running until the process is stopped.
+   */
+  async watch(rootPath, options = {}) {
+    const { translationPath = null, completePath = null } = options;
+    const resolvedTranslationPath = translationPath && path.resolve(translationPath);
+    const listFiles = async () => (await glob(this.config.includePatterns, {
+      cwd: rootPath,
+      absolute: true,
+      ignore: this.config.excludePatterns,
+    })).sort();
+
+    // Match changed paths the way the glob above does, so events don't need a new listing
+    const toRelative = (file) => path.relative(rootPath, file).split(path.sep).join('/');
+    const isExcluded = (file) => this.config.excludePatterns.some((pattern) =>
+      minimatch(toRelative(file), pattern, { dot: true }));
+    const isIncluded = (file) => !isExcluded(file) &&
+      this.config.includePatterns.some((pattern) => minimatch(toRelative(file), pattern));
+
+    // Re-analyze changed files in batches, once events settle
+    const pending = new Set();
+    let timer = null;
+    let running = Promise.resolve();
+    let processChanges = async () => {};
+    const scheduleChanges = () => {
+      running = running.then(processChanges).catch((error) => {
+        console.error(chalk.red('Error while re-scanning:'), error.message);
+      });
+    };
+
+    const onChange = (eventType, fileName) => {
+      if (!fileName) return;
+      const file = path.resolve(rootPath, fileName.toString());
+      const isTranslation = resolvedTranslationPath && file.startsWith(resolvedTranslationPath);
+      if (!isTranslation && isExcluded(file)) return;
+      pending.add(file);
+
+      clearTimeout(timer);
+      timer = setTimeout(scheduleChanges, 100);
+    };
+
+    // Start watching before the initial scan: Linux only supports recursive watching from Node 19.1
+    try {
+      fs.watch(rootPath, { recursive: true }, onChange);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+      throw new Error(`--watch needs recursive fs.watch, which Node ${process.version} doesn't support on ` +
+        `${process.platform}; use Node 19.1 or later`);
+    }
+
+    // Translations outside the project are watched on their own
+    if (resolvedTranslationPath && !resolvedTranslationPath.startsWith(path.resolve(rootPath) + path.sep)) {
+      fs.watch(resolvedTranslationPath, { recursive: fs.statSync(resolvedTranslationPath).isDirectory() },
+        () => onChange('change', resolvedTranslationPath));
+    }
+
+    console.log(chalk.blue.bold('\n👀 Starting watch mode...\n'));
+
+    let defined = translationPath ? await this.loadDefinedKeys(translationPath, options) : null;
+
+    // Initial scan
+    const files = await listFiles();
+    let watched = new Set(files);
+    await this.analyzeFiles(files);
+    this.fileAnalyses = new Map();
+    files.forEach((file) => {
+      try {
+        this.fileAnalyses.set(file, this.analyzeFile(file));
+      } catch (error) {
+        // Files removed during the scan are picked up by the watcher
+      }
+    });
+    this.applyFileAnalyses();
+    this.cache.save();
+    this.generateReport();
+
+    if (completePath) {
+      this.syncCompleteFile(completePath, options);
+    }
+
+    let snapshot = this.getWatchSnapshot(defined);
+    const missingCount = [...snapshot.missingKeys.values()].reduce((sum, items) => sum + items.length, 0);
+    if (defined) {
+      console.log(chalk.white(`  Missing keys: ${missingCount}`));
+    }
+    console.log(chalk.cyan(`\n👀 Watching ${files.length} files in ${rootPath} (Ctrl+C to stop)\n`));
+
+    processChanges = async () => {
+      const changed = [...pending];
+      pending.clear();
+
+      let translationsChanged = false;
+      const sourceChanges = changed.filter((file) => {
+        if (resolvedTranslationPath && file.startsWith(resolvedTranslationPath)) {
+          translationsChanged = true;
+          return false;
+        }
+        return true;
+      });
+
+      // File events update the file list; a directory added, moved or removed needs a new listing
+      const isDirectory = (file) => (fs.existsSync(file)
+        ? fs.statSync(file).isDirectory()
+        : [...watched].some((watchedFile) => watchedFile.startsWith(file + path.sep)));
+      if (sourceChanges.some(isDirectory)) {
+        const listed = new Set(await listFiles());
+        sourceChanges.push(...[...watched].filter((file) => !listed.has(file)));
+        sourceChanges.push(...[...listed].filter((file) => !watched.has(file)));
+        watched = listed;
+      } else {
+        sourceChanges.forEach((file) => {
+          if (fs.existsSync(file) && isIncluded(file)) watched.add(file);
+          else watched.delete(file);
+        });
+      }
+
+      const changedFiles = [...new Set(sourceChanges)].filter((file) => {
+        if (!watched.has(file)) {
+          return this.fileAnalyses.delete(file);
+        }
+
+        try {
+          const analysis = this.analyzeFile(file);
+          // Cached analyses are returned as-is for unchanged content
+          if (this.fileAnalyses.get(file) === analysis) return false;
+          this.fileAnalyses.set(file, analysis);
+          return true;
+        } catch (error) {
+          return this.fileAnalyses.delete(file);
+        }
+      });
+
+      if (translationsChanged) {
+        defined = await this.loadDefinedKeys(translationPath, options);
+      }
+      if (changedFiles.length === 0 && !translationsChanged) return;
+
+      this.applyFileAnalyses();
+      this.cache.save();
+
+      const current = this.getWatchSnapshot(defined);
+      this.printWatchChanges(snapshot, current, changedFiles);
+      snapshot = current;
+
+      if (completePath && changedFiles.length > 0) {
+        this.syncCompleteFile(completePath, options);
+      }
     };
+
+    // Changes made during the initial scan
+    if (pending.size > 0) scheduleChanges();
   }
 }
 
+/**
+ * Set the exit code of the first failing threshold, listing every failure
+ */
+function applyThresholds(counts, thresholds) {
+  const failures = evaluateThresholds(counts, thresholds);
+  if (failures.length === 0) return;
+
+  console.log(chalk.red.bold('\n❌ Failure conditions:'));
+  failures.forEach((failure) => {
+    console.log(chalk.red(`   • ${failure.message} (exit code ${failure.code})`));
+  });
+  console.log('');
+
+  process.exitCode = failures[0].code;
+}
+
+/**
+ * Defined keys of a translation file or locale, with their plural groups
+ */
+function createDefinedKeys(definedValues, details) {
+  const definedKeys = new Set(definedValues.keys());
+  return { definedValues, definedKeys, pluralGroups: getPluralGroups(definedKeys), ...details };
+}
+
+/**
+ * Sum a count over every locale of a --validate-locales report
+ */
+function sumLocales(result, field) {
+  return Object.values(result.locales).reduce((sum, data) => sum + data[field].length, 0);
+}
+
+// Where reports are written when no output file is given, plus the reporter's extension
+const DEFAULT_REPORT_NAME = 'i18n-results';
+
 // CLI
 async function main() {
   const argv = yargs(hideBin(process.argv))
+    .command('lsp', 'Start a language server on stdio for editors')
     .option('path', {
       alias: 'p',
       type: 'string',
@@ -1501,6 +3929,10 @@ async function main() {
       description: 'Minimum string length to consider',
       default: 2,
     })
+    .option('min-confidence', {
+      type: 'number',
+      description: 'Only report strings at least this likely (0-1) to be user-facing text',
+    })
     .option('generate', {
       alias: 'g',
       type: 'string',
@@ -1521,6 +3953,23 @@ async function main() {
       type: 'string',
       description: 'Validate i18n keys against a translation file',
     })
+    .option('validate-locales', {
+      type: 'string',
+      description: 'Validate every locale in a directory against a reference locale',
+    })
+    .option('check-placeholders', {
+      type: 'string',
+      description: 'Check that interpolation placeholders match across a locales directory and t() calls',
+    })
+    .option('reference-locale', {
+      type: 'string',
+      description: 'Reference locale for --validate-locales and --check-placeholders',
+      default: 'en',
+    })
+    .option('locale', {
+      type: 'string',
+      description: 'Locale to validate: picks <lng>/ in a --validate directory, sets plural rules (default: from the path)',
+    })
     .option('validate-output', {
       type: 'string',
       description: 'Output validation results to JSON file',
@@ -1538,7 +3987,7 @@ async function main() {
     .option('translation-file', {
       alias: 't',
       type: 'string',
-      description: 'Translation file to use with --find-string',
+      description: 'Translation file (or locales directory) to use with --find-string and lsp',
     })
     .option('extract-keys', {
       alias: 'e',
@@ -1559,15 +4008,113 @@ async function main() {
       description: 'Include a locations file showing where each key is used',
       default: false,
     })
+    .option('fix', {
+      type: 'boolean',
+      description: 'Replace detected strings with t() calls (use with --generate to write the keys)',
+      default: false,
+    })
+    .option('dry-run', {
+      type: 'boolean',
+      description: 'Show a diff of the changes --fix would make without writing files',
+      default: false,
+    })
+    .option('format', {
+      alias: 'reporter',
+      type: 'string',
+      description: 'Format of --output / --validate-output: json, sarif, junit, markdown, html or a reporter module path',
+      default: 'json',
+    })
+    .option('baseline', {
+      type: 'string',
+      description: 'Only report strings not in this baseline file; exit with 1 if there are any',
+    })
+    .option('write-baseline', {
+      type: 'string',
+      description: 'Write the current strings to a baseline file (default: .i18n-baseline.json)',
+    })
+    .option('max-hardcoded', {
+      type: 'number',
+      description: 'Exit with 1 when more hardcoded strings are found',
+    })
+    .option('max-type', {
+      type: 'array',
+      description: 'Per-type limit like "JSX Text=0"; exit with 7 when exceeded (repeatable)',
+    })
+    .option('fail-on', {
+      type: 'string',
+      description: 'Comma-separated findings that fail the run: missing,unused,duplicates,untranslated,placeholders',
+    })
+    .option('changed-since', {
+      type: 'string',
+      description: 'Only scan files changed since a git ref (e.g. origin/main), including uncommitted ones',
+    })
+    .option('staged', {
+      type: 'boolean',
+      description: 'Only scan files staged for commit (for pre-commit hooks)',
+      default: false,
+    })
+    .option('added-lines', {
+      type: 'boolean',
+      description: 'With --changed-since or --staged, only report strings on added lines',
+      default: false,
+    })
+    .option('report-unused-suppressions', {
+      type: 'boolean',
+      description: 'List i18n-ignore comments that no longer suppress anything; exit with 9 if there are any',
+      default: false,
+    })
+    .option('a11y', {
+      type: 'boolean',
+      description: 'Treat every screen-reader attribute (alt, aria-label, accessibilityLabel...) as an error; exit with 10',
+      default: false,
+    })
+    .option('watch', {
+      type: 'boolean',
+      description: 'Re-scan changed files and print added and resolved findings',
+      default: false,
+    })
+    .option('concurrency', {
+      type: 'number',
+      description: 'Number of worker threads used to parse files (default: CPU count)',
+    })
+    .option('cache', {
+      type: 'boolean',
+      description: 'Reuse results for unchanged files from previous runs',
+      default: false,
+    })
+    .option('cache-location', {
+      type: 'string',
+      description: 'Directory for the --cache files',
+      default: '.i18n-fixer-cache',
+    })
     .example('$0 --path=./src', 'Scan for hardcoded strings')
+    .example('$0 lsp -t ./locales', 'Run the language server for an editor')
     .example('$0 --generate=./locales/en.json', 'Generate translation file')
     .example('$0 --validate=./locales/en.json', 'Validate keys against translation file')
     .example('$0 --generate=./en.json --flat', 'Generate flat translation file')
+    .example('$0 --validate-locales=./locales', 'Compare all locales against en')
+    .example('$0 --check-placeholders=./locales', 'Check {{placeholders}} across locales')
     .example('$0 --check-duplicates=./locales/en.json', 'Check for duplicate keys')
     .example('$0 --find-string="Welcome" -t=./locales/en.json', 'Find where "Welcome" is used')
     .example('$0 --extract-keys=./locales/en.json', 'Extract keys from existing i18n calls')
     .example('$0 --extract-keys=./en.json --with-locations', 'Extract keys with usage locations')
     .example('$0 --complete=./locales/en.json', 'Complete: existing keys + hardcoded strings')
+    .example('$0 --fix --generate=./locales/en.json', 'Replace hardcoded strings with t() calls')
+    .example('$0 --fix --dry-run', 'Preview the replacements as a diff')
+    .example('$0 --cache', 'Skip files unchanged since the last run')
+    .example('$0 --format=sarif --output=i18n.sarif', 'Export findings for GitHub code scanning')
+    .example('$0 --format=markdown --output=i18n.md', 'Summarize findings for a pull request comment')
+    .example('$0 --reporter=html', 'Write a browsable report to i18n-results.html')
+    .example('$0 --max-hardcoded=0', 'Fail CI when any hardcoded string is found')
+    .example('$0 --validate=./locales/en.json --fail-on=missing', 'Fail CI on missing keys')
+    .example('$0 --write-baseline', 'Accept the current strings in .i18n-baseline.json')
+    .example('$0 --baseline=.i18n-baseline.json', 'Fail only on strings added since the baseline')
+    .example('$0 --report-unused-suppressions', 'Find i18n-ignore comments that can be removed')
+    .example('$0 --changed-since=origin/main --added-lines', 'Report strings added in a pull request')
+    .example('$0 --staged --added-lines --max-hardcoded=0', 'Reject commits that add hardcoded strings')
+    .example('$0 --min-confidence=0.5', 'Hide strings that look like style values or formats')
+    .example('$0 --a11y', 'Fail when screen-reader text is hardcoded')
+    .example('$0 --watch --validate=./locales/en.json', 'Report new strings and missing keys as you edit')
     .help()
     .alias('help', 'h')
     .argv;
@@ -1583,8 +4130,88 @@ async function main() {
   if (argv.minLength) {
     config.minStringLength = argv.minLength;
   }
+  if (argv.minConfidence !== undefined) {
+    config.minConfidence = argv.minConfidence;
+  }
+
+  // Screen-reader text must be translated: every a11y attribute, including ones the config ignores, is an error
+  if (argv.a11y) {
+    config.a11yAttributes = Object.fromEntries(
+      Object.keys({ ...DEFAULT_CONFIG.a11yAttributes, ...config.a11yAttributes }).map((name) => [name, 'error'])
+    );
+  }
 
   const finder = new I18nStringFinder(config);
+  if (argv.cache) {
+    finder.useCache(argv.cacheLocation);
+  }
+  if (argv.concurrency) {
+    finder.concurrency = Math.max(1, argv.concurrency);
+  }
+
+  // Command: language server for editors, until the client exits
+  if (argv._[0] === 'lsp') {
+    startLanguageServer(finder, {
+      rootPath: argv.path,
+      translationPath: argv.translationFile,
+      locale: argv.locale,
+      referenceLocale: argv.referenceLocale,
+    });
+    return;
+  }
+
+  // CI failure conditions, from the CLI or the config file. A baseline fails on any new string by default.
+  let thresholds;
+  try {
+    thresholds = {
+      maxHardcoded: argv.maxHardcoded ?? config.maxHardcoded ?? (argv.baseline ? 0 : null),
+      maxByType: { ...config.maxHardcodedByType, ...parseTypeLimits(argv.maxType) },
+      failOn: [
+        ...parseFailOn(argv.failOn ?? config.failOn),
+        ...(argv.reportUnusedSuppressions ? ['suppressions'] : []),
+        'a11y',
+      ],
+    };
+    parseA11yLevels(config.a11yAttributes);
+    if (!(finder.config.minConfidence >= 0 && finder.config.minConfidence <= 1)) {
+      throw new Error(`Invalid minimum confidence "${finder.config.minConfidence}" (expected a number from 0 to 1)`);
+    }
+  } catch (error) {
+    console.log(chalk.red(`\n❌ ${error.message}\n`));
+    process.exitCode = EXIT_CODES.error;
+    return;
+  }
+
+  // Reporter for --format other than json, loaded up front so an unknown one fails before scanning
+  let reporter = null;
+  if (argv.format !== 'json') {
+    try {
+      reporter = await loadReporter(argv.format);
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = EXIT_CODES.error;
+      return;
+    }
+  }
+  const reportPath = (outputPath) => outputPath || `${DEFAULT_REPORT_NAME}${reporter.extension}`;
+
+  // Mode: Watch (missing keys are checked against --validate, or the --complete file it keeps in sync)
+  if (argv.watch) {
+    try {
+      await finder.watch(argv.path, {
+        translationPath: argv.validate || argv.complete,
+        completePath: argv.complete,
+        flat: argv.flat,
+        placeholder: argv.placeholder,
+        locale: argv.locale,
+        referenceLocale: argv.referenceLocale,
+      });
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = EXIT_CODES.error;
+    }
+    return;
+  }
 
   // Mode: Complete generation (existing + hardcoded)
   if (argv.complete) {
@@ -1616,10 +4243,19 @@ async function main() {
   // Mode: Check duplicates
   if (argv.checkDuplicates) {
     const result = finder.checkDuplicateKeys(argv.checkDuplicates);
-    if (argv.validateOutput && result) {
+    if (reporter && result) {
+      finder.exportReport(reporter, reportPath(argv.validateOutput), 'duplicates', result, {
+        translationPath: argv.checkDuplicates,
+      });
+    } else if (argv.validateOutput && result) {
       fs.writeFileSync(argv.validateOutput, JSON.stringify(result, null, 2));
       console.log(chalk.green(`✅ Duplicate check results exported to ${argv.validateOutput}\n`));
     }
+    if (!result) {
+      process.exitCode = EXIT_CODES.error;
+      return;
+    }
+    applyThresholds({ duplicates: result.duplicateKeys.length }, thresholds);
     return;
   }
 
@@ -1629,6 +4265,7 @@ async function main() {
     if (!translationFile) {
       console.log(chalk.red('\n❌ Please provide a translation file with --translation-file or -t\n'));
       console.log(chalk.gray('   Example: i18n-finder --find-string="Welcome" -t=./locales/en.json\n'));
+      process.exitCode = EXIT_CODES.error;
       return;
     }
     const result = await finder.findStringUsage(argv.path, translationFile, argv.findString);
@@ -1636,29 +4273,154 @@ async function main() {
       fs.writeFileSync(argv.validateOutput, JSON.stringify(result, null, 2));
       console.log(chalk.green(`✅ Search results exported to ${argv.validateOutput}\n`));
     }
+    if (!result) {
+      process.exitCode = EXIT_CODES.error;
+    }
+    return;
+  }
+
+  // Mode: Validate all locales in a directory
+  if (argv.validateLocales) {
+    const result = await finder.validateLocales(argv.validateLocales, {
+      referenceLocale: argv.referenceLocale,
+    });
+    if (argv.validateOutput && result) {
+      fs.writeFileSync(argv.validateOutput, JSON.stringify(result, null, 2));
+      console.log(chalk.green(`✅ Locale validation results exported to ${argv.validateOutput}\n`));
+    }
+    if (!result) {
+      process.exitCode = EXIT_CODES.error;
+      return;
+    }
+    // Keys a locale has but the reference doesn't count as unused
+    applyThresholds({
+      missing: sumLocales(result, 'missingKeys'),
+      unused: sumLocales(result, 'extraKeys'),
+      untranslated: sumLocales(result, 'untranslatedKeys'),
+    }, thresholds);
+    return;
+  }
+
+  // Mode: Check interpolation placeholders
+  if (argv.checkPlaceholders) {
+    const result = await finder.checkPlaceholders(argv.path, argv.checkPlaceholders, {
+      referenceLocale: argv.referenceLocale,
+    });
+    if (argv.validateOutput && result) {
+      fs.writeFileSync(argv.validateOutput, JSON.stringify(result, null, 2));
+      console.log(chalk.green(`✅ Placeholder check results exported to ${argv.validateOutput}\n`));
+    }
+    if (!result) {
+      process.exitCode = EXIT_CODES.error;
+      return;
+    }
+    applyThresholds({ placeholders: result.localeIssues.length + result.callSiteIssues.length }, thresholds);
     return;
   }
 
   // Mode: Validate keys
   if (argv.validate) {
-    const validationResult = await finder.validateKeys(argv.path, argv.validate);
+    const validationResult = await finder.validateKeys(argv.path, argv.validate, {
+      locale: argv.locale,
+      referenceLocale: argv.referenceLocale,
+    });
     
-    if (argv.validateOutput && validationResult) {
+    if (reporter && validationResult) {
+      finder.exportReport(reporter, reportPath(argv.validateOutput), 'validate', validationResult, {
+        translationPath: argv.validate,
+      });
+    } else if (argv.validateOutput && validationResult) {
       fs.writeFileSync(argv.validateOutput, JSON.stringify(validationResult, null, 2));
       console.log(chalk.green(`✅ Validation results exported to ${argv.validateOutput}\n`));
     }
+    if (!validationResult) {
+      process.exitCode = EXIT_CODES.error;
+      return;
+    }
+    applyThresholds({
+      missing: validationResult.missingKeys.length,
+      unused: validationResult.unusedKeys.length,
+      untranslated: validationResult.untranslatedKeys.length,
+    }, thresholds);
     return;
   }
 
+  // Limit the scan to files (and lines) changed in git
+  if (argv.changedSince || argv.staged || argv.addedLines) {
+    try {
+      if (!argv.changedSince && !argv.staged) {
+        throw new Error('--added-lines needs --changed-since or --staged');
+      }
+      if (argv.changedSince && argv.staged) {
+        throw new Error('Use either --changed-since or --staged');
+      }
+      if (argv.writeBaseline !== undefined) {
+        throw new Error('--write-baseline needs a full scan; drop --changed-since / --staged');
+      }
+      finder.useDiffScope(argv.path, {
+        since: argv.changedSince,
+        staged: argv.staged,
+        addedLinesOnly: argv.addedLines,
+      });
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}\n`));
+      process.exitCode = EXIT_CODES.error;
+      return;
+    }
+  }
+
   // Default mode: Scan for hardcoded strings
   await finder.scanProject(argv.path);
+
+  // Accept the current strings (or prune a previous baseline) instead of reporting them
+  if (argv.writeBaseline !== undefined) {
+    const baseline = finder.writeBaseline(argv.writeBaseline || '.i18n-baseline.json', argv.path, argv.baseline);
+    if (!baseline) {
+      process.exitCode = EXIT_CODES.error;
+    }
+    return;
+  }
+
+  // Only strings missing from the baseline are reported, and only they fail the run
+  if (argv.baseline && !finder.applyBaseline(argv.baseline, argv.path)) {
+    process.exitCode = EXIT_CODES.error;
+    return;
+  }
+
   finder.generateReport();
+  if (argv.reportUnusedSuppressions) {
+    finder.reportUnusedSuppressions();
+  }
+  applyThresholds({
+    hardcoded: finder.stats.totalStrings,
+    byType: finder.stats.stringsByType,
+    suppressions: finder.unusedSuppressions.length,
+    a11y: finder.results.filter((result) => result.level === 'error').length,
+  }, thresholds);
 
   // Export scan results
-  if (argv.output) {
+  if (reporter) {
+    finder.exportReport(reporter, reportPath(argv.output), 'scan', null, {
+      rootPath: argv.path,
+      unusedSuppressions: argv.reportUnusedSuppressions,
+    });
+  } else if (argv.output) {
     finder.exportToJson(argv.output);
   }
 
+  // Replace strings with t() calls (writes the keys it used to --generate)
+  if (argv.fix) {
+    finder.fixFiles(argv.path, {
+      flat: argv.flat,
+      namespace: !argv.noNamespace,
+      dryRun: argv.dryRun,
+      translationPath: argv.generate,
+      // An explicit --min-confidence (or config minConfidence) replaces the default floor
+      ...(config.minConfidence !== undefined && { minConfidence: config.minConfidence }),
+    });
+    return;
+  }
+
   // Generate i18n file
   if (argv.generate) {
     finder.generateI18nFile(argv.generate, argv.path, {
@@ -1668,4 +4430,22 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+export { I18nStringFinder, DEFAULT_CONFIG };
+
+/**
+ * Check if this module is the entry point rather than imported (by the scan workers)
+ */
+function isCliEntry() {
+  try {
+    return Boolean(process.argv[1]) && fs.realpathSync(process.argv[1]) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+if (isCliEntry()) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = EXIT_CODES.error;
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Find every property of a JSON document with its dotted key and 1-based position.
+ * Unlike JSON.parse, repeated keys are all kept, in document order.
+ */
+export function locateJsonKeys(content) {
+  const locations = [];
+  const stack = [];
+  let line = 1;
+  let lineStart = 0;
+  let pending = null; // Location of the key whose value comes next
+
+  const getValuePath = () => {
+    const top = stack[stack.length - 1];
+    if (!top) return [];
+    return [...top.path, top.type === 'object' ? top.key : String(top.index)];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '\n') {
+      line++;
+      lineStart = i + 1;
+      continue;
+    }
+
+    if (char === '"') {
+      let end = i + 1;
+      while (end < content.length && content[end] !== '"') {
+        end += content[end] === '\\' ? 2 : 1;
+      }
+
+      let value;
+      try {
+        value = JSON.parse(content.slice(i, end + 1));
+      } catch {
+        value = content.slice(i + 1, end);
+      }
+
+      const top = stack[stack.length - 1];
+      if (top && top.type === 'object' && top.expectKey) {
+        top.key = value;
+        top.expectKey = false;
+        pending = { key: [...top.path, value].join('.'), line, column: i - lineStart + 1 };
+        locations.push(pending);
+      } else if (pending) {
+        pending.value = value;
+        pending = null;
+      }
+
+      i = end;
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      stack.push({
+        type: char === '{' ? 'object' : 'array',
+        path: stack.length > 0 ? getValuePath() : [],
+        expectKey: char === '{',
+        key: null,
+        index: 0,
+      });
+      pending = null;
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    } else if (char === ',') {
+      const top = stack[stack.length - 1];
+      if (top && top.type === 'object') top.expectKey = true;
+      if (top && top.type === 'array') top.index++;
+      pending = null;
+    } else if (!/[\s:]/.test(char)) {
+      // Numbers, booleans and null end the pending key's value
+      pending = null;
+    }
+  }
+
+  return locations;
+}
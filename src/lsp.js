@@ -0,0 +1,538 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getScanFindings, getValidationFindings } from './findings.js';
+import { PACKAGE_VERSION } from './version.js';
+
+/**
+ * JSON-RPC error codes used by the server
+ */
+const ERROR_CODES = {
+  parseError: -32700,
+  methodNotFound: -32601,
+  internalError: -32603,
+};
+
+const SEVERITIES = { error: 1, warning: 2, note: 3 };
+
+const ADD_TRANSLATION_COMMAND = 'i18n-finder.addTranslation';
+
+// Completion item kind for keys (`Value`)
+const COMPLETION_KIND_VALUE = 12;
+
+/**
+ * Read `Content-Length` framed JSON-RPC messages from a stream.
+ * A body that isn't valid JSON goes to `onParseError`, and reading continues with the next frame.
+ */
+function readMessages(input, onMessage, onParseError) {
+  let buffer = Buffer.alloc(0);
+
+  input.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = buffer.slice(0, headerEnd).toString('ascii');
+      const match = /Content-Length: *(\d+)/i.exec(header);
+      if (!match) {
+        // Skip a malformed header rather than stalling the stream
+        buffer = buffer.slice(headerEnd + 4);
+        continue;
+      }
+
+      const length = Number(match[1]);
+      const start = headerEnd + 4;
+      if (buffer.length < start + length) return;
+
+      const body = buffer.slice(start, start + length).toString('utf-8');
+      buffer = buffer.slice(start + length);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        onParseError(error);
+        continue;
+      }
+      onMessage(message);
+    }
+  });
+}
+
+/**
+ * Convert a 1-based line and 0-based column into an LSP position
+ */
+function toPosition(line, column = 0) {
+  return { line: Math.max(0, line - 1), character: Math.max(0, column) };
+}
+
+/**
+ * Range of the quoted string (or other token) starting at a position, for keys and diagnostics.
+ * Falls back to the rest of the line.
+ */
+function getTokenRange(lines, line, column) {
+  const text = lines[line - 1] || '';
+  const quote = text[column];
+  let end = text.length;
+
+  if (quote === '\'' || quote === '"' || quote === '`') {
+    const closing = text.indexOf(quote, column + 1);
+    if (closing !== -1) end = closing + 1;
+  } else {
+    const token = /^[^\s,)}>]+/.exec(text.slice(column));
+    if (token) end = column + token[0].length;
+  }
+
+  return { start: toPosition(line, column), end: toPosition(line, end) };
+}
+
+/**
+ * Range of a hardcoded string: the first line of its value from the reported position on
+ * (JSX text starts with the whitespace before it)
+ */
+function getValueRange(lines, line, column, value) {
+  const firstLine = value.split('\n')[0].trim();
+
+  for (let index = line - 1; index < Math.min(lines.length, line + 2); index++) {
+    const from = index === line - 1 ? column : 0;
+    const found = lines[index].indexOf(firstLine, from);
+    if (found !== -1) {
+      return { start: { line: index, character: found }, end: { line: index, character: found + firstLine.length } };
+    }
+  }
+  return getTokenRange(lines, line, column);
+}
+
+/**
+ * Offsets where each line of a text starts
+ */
+function getLineOffsets(text) {
+  const offsets = [0];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\n') offsets.push(index + 1);
+  }
+  return offsets;
+}
+
+function offsetToPosition(offsets, offset) {
+  let line = 0;
+  while (line + 1 < offsets.length && offsets[line + 1] <= offset) line++;
+  return { line, character: offset - offsets[line] };
+}
+
+function containsPosition(range, position) {
+  const afterStart = position.line > range.start.line ||
+    (position.line === range.start.line && position.character >= range.start.character);
+  const beforeEnd = position.line < range.end.line ||
+    (position.line === range.end.line && position.character <= range.end.character);
+  return afterStart && beforeEnd;
+}
+
+function rangesOverlap(a, b) {
+  return containsPosition(a, b.start) || containsPosition(a, b.end) || containsPosition(b, a.start);
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/[\\`*_|<>[\]]/g, '\\$&').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Language server over stdio: hardcoded string and missing key diagnostics, hovers with the value
+ * of a key in every locale, key completion, "extract to translation key" code actions and
+ * go-to-definition into the translation files
+ */
+export class LanguageServer {
+  constructor(finder, options = {}) {
+    this.finder = finder;
+    this.rootPath = options.rootPath || process.cwd();
+    this.translationPath = options.translationPath || null;
+    this.locale = options.locale || null;
+    this.referenceLocale = options.referenceLocale || 'en';
+    this.documents = new Map(); // URI -> { filePath, text, lines, analysis, ast }
+    this.defined = null; // Keys of the reference locale, from loadDefinedKeys
+    this.locales = new Map(); // Locale -> values, for hovers
+    this.keyLocations = new Map(); // Key -> { file, line, column } in the reference locale
+    this.ready = Promise.resolve();
+    this.shutdownRequested = false;
+  }
+
+  /**
+   * Start reading requests from `input` and writing responses to `output`
+   */
+  listen(input = process.stdin, output = process.stdout) {
+    this.output = output;
+    readMessages(input, (message) => {
+      this.handleMessage(message).catch((error) => {
+        console.error(`i18n-finder lsp: ${error.stack || error.message}`);
+      });
+    }, (error) => {
+      // The request id can't be read from a malformed message
+      this.send({ id: null, error: { code: ERROR_CODES.parseError, message: `Parse error: ${error.message}` } });
+    });
+  }
+
+  send(message) {
+    const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+    this.output.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+  }
+
+  notify(method, params) {
+    this.send({ method, params });
+  }
+
+  async handleMessage(message) {
+    const { id, method, params } = message;
+    const isRequest = id !== undefined && method !== undefined;
+    if (!method) return; // Responses to requests the server doesn't make
+
+    const handler = this.getHandler(method);
+    if (!handler) {
+      if (isRequest) {
+        this.send({ id, error: { code: ERROR_CODES.methodNotFound, message: `Unhandled method ${method}` } });
+      }
+      return;
+    }
+
+    try {
+      const result = await handler(params || {});
+      if (isRequest) {
+        this.send({ id, result: result === undefined ? null : result });
+      }
+    } catch (error) {
+      if (!isRequest) throw error;
+      this.send({ id, error: { code: ERROR_CODES.internalError, message: error.message } });
+    }
+  }
+
+  getHandler(method) {
+    const handlers = {
+      initialize: (params) => this.initialize(params),
+      initialized: () => {},
+      shutdown: () => {
+        this.shutdownRequested = true;
+        return null;
+      },
+      exit: () => process.exit(this.shutdownRequested ? 0 : 1),
+      'textDocument/didOpen': ({ textDocument }) => this.updateDocument(textDocument.uri, textDocument.text),
+      'textDocument/didChange': ({ textDocument, contentChanges }) =>
+        this.updateDocument(textDocument.uri, contentChanges[contentChanges.length - 1].text),
+      'textDocument/didSave': ({ textDocument }) => this.handleSave(textDocument.uri),
+      'textDocument/didClose': ({ textDocument }) => {
+        this.documents.delete(textDocument.uri);
+        this.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+      },
+      'workspace/didChangeWatchedFiles': () => this.reloadTranslations(),
+      'textDocument/hover': (params) => this.hover(params),
+      'textDocument/completion': (params) => this.complete(params),
+      'textDocument/codeAction': (params) => this.getCodeActions(params),
+      'textDocument/definition': (params) => this.getDefinition(params),
+      'workspace/executeCommand': (params) => this.executeCommand(params),
+    };
+    return handlers[method];
+  }
+
+  initialize(params) {
+    const options = params.initializationOptions || {};
+    if (params.rootUri) {
+      this.rootPath = fileURLToPath(params.rootUri);
+    }
+    if (options.translationPath) {
+      this.translationPath = options.translationPath;
+    }
+    if (options.locale) {
+      this.locale = options.locale;
+    }
+    if (this.translationPath) {
+      this.translationPath = path.resolve(this.rootPath, this.translationPath);
+    }
+
+    this.ready = this.loadTranslations();
+
+    return {
+      capabilities: {
+        textDocumentSync: { openClose: true, change: 1, save: true },
+        hoverProvider: true,
+        completionProvider: { triggerCharacters: ['\'', '"', '`', '.', ':'] },
+        codeActionProvider: { codeActionKinds: ['refactor.extract', 'quickfix'] },
+        definitionProvider: true,
+        executeCommandProvider: { commands: [ADD_TRANSLATION_COMMAND] },
+      },
+      serverInfo: { name: 'i18n-finder', version: PACKAGE_VERSION },
+    };
+  }
+
+  /**
+   * Load the reference locale's keys, and every locale's values for hovers
+   */
+  async loadTranslations() {
+    this.defined = null;
+    this.locales = new Map();
+    this.keyLocations = new Map();
+    if (!this.translationPath) return;
+
+    const isDirectory = fs.existsSync(this.translationPath) && fs.statSync(this.translationPath).isDirectory();
+    this.defined = await this.finder.loadDefinedKeys(this.translationPath, {
+      locale: this.locale,
+      referenceLocale: this.referenceLocale,
+    });
+    if (!this.defined) return;
+
+    if (isDirectory) {
+      (await this.finder.loadLocales(this.translationPath)).forEach((data, locale) => {
+        this.locales.set(locale, data.values);
+      });
+    } else {
+      this.locales.set(this.defined.locale || path.basename(this.translationPath, '.json'), this.defined.definedValues);
+    }
+
+    this.keyLocations = this.finder.locateTranslationKeys(this.defined.files, this.defined.namespaced);
+  }
+
+  async reloadTranslations() {
+    this.ready = this.loadTranslations();
+    await this.ready;
+    this.documents.forEach((document, uri) => this.publishDiagnostics(uri));
+  }
+
+  async handleSave(uri) {
+    if (uri.endsWith('.json')) {
+      await this.reloadTranslations();
+    }
+  }
+
+  async updateDocument(uri, text) {
+    if (!uri.startsWith('file:') || !/\.[cm]?[jt]sx?$/.test(uri)) return;
+
+    const filePath = fileURLToPath(uri);
+    const analysis = this.finder.analyzeSource(filePath, text);
+    if (!analysis.error) {
+      analysis.results = analysis.results.filter((result) => this.finder.meetsMinConfidence(result));
+    }
+    this.documents.set(uri, {
+      filePath,
+      text,
+      lines: text.split(/\r?\n/),
+      analysis,
+      ast: null,
+    });
+
+    await this.ready;
+    this.publishDiagnostics(uri);
+  }
+
+  /**
+   * Used keys of a document in the form the defined keys use, with the defined keys each one reaches
+   */
+  getKeyUsages(document) {
+    if (!this.defined || document.analysis.error) return [];
+
+    const { usages } = this.finder.getKeyUsages(this.defined, document.analysis.usedKeys, []);
+    return usages.map((keyInfo) => ({
+      keyInfo,
+      range: getTokenRange(document.lines, keyInfo.line, keyInfo.column),
+      matches: this.finder.resolveUsedKey(keyInfo, this.defined.definedKeys, this.defined.pluralGroups),
+    }));
+  }
+
+  publishDiagnostics(uri) {
+    const document = this.documents.get(uri);
+    if (!document) return;
+
+    const diagnostics = [];
+    if (!document.analysis.error) {
+      getScanFindings(document.analysis.results, this.rootPath).forEach((finding, index) => {
+        const result = document.analysis.results[index];
+        diagnostics.push({
+          range: getValueRange(document.lines, result.line, result.column, result.value),
+          severity: SEVERITIES[finding.level],
+          source: 'i18n-finder',
+          code: finding.ruleId,
+          message: finding.message,
+        });
+      });
+
+      const missingKeys = this.getKeyUsages(document).filter((usage) => usage.matches.length === 0);
+      const validation = { missingKeys: missingKeys.map((usage) => usage.keyInfo), unusedKeys: [], missingPluralForms: [] };
+      getValidationFindings(validation, new Map(), this.translationPath).forEach((finding, index) => {
+        diagnostics.push({
+          range: missingKeys[index].range,
+          severity: SEVERITIES[finding.level],
+          source: 'i18n-finder',
+          code: finding.ruleId,
+          message: finding.message,
+        });
+      });
+    }
+
+    this.notify('textDocument/publishDiagnostics', { uri, diagnostics });
+  }
+
+  getUsageAt(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document) return null;
+    return this.getKeyUsages(document).find((usage) => containsPosition(usage.range, params.position)) || null;
+  }
+
+  /**
+   * Show the value of the key under the cursor in every locale
+   */
+  async hover(params) {
+    await this.ready;
+    const usage = this.getUsageAt(params);
+    if (!usage) return null;
+
+    const keys = usage.matches.length > 0 ? usage.matches : [usage.keyInfo.key];
+    const locales = [...this.locales.keys()].sort();
+    const lines = [];
+
+    keys.forEach((key) => {
+      lines.push(`**\`${key}\`**`, '', '| Locale | Value |', '| --- | --- |');
+      locales.forEach((locale) => {
+        const value = this.locales.get(locale).get(key);
+        const text = value === undefined ? '_missing_' : (value === '' ? '_empty_' : escapeMarkdown(value));
+        lines.push(`| ${locale} | ${text} |`);
+      });
+      lines.push('');
+    });
+
+    return { contents: { kind: 'markdown', value: lines.join('\n').trim() }, range: usage.range };
+  }
+
+  /**
+   * Complete keys inside the first string argument of a translate call, or a `<Trans i18nKey>` value
+   */
+  async complete(params) {
+    await this.ready;
+    const document = this.documents.get(params.textDocument.uri);
+    if (!document || !this.defined) return null;
+
+    const prefix = (document.lines[params.position.line] || '').slice(0, params.position.character);
+    const call = /([\w$.]+)\(\s*['"`]([^'"`]*)$/.exec(prefix);
+    const attribute = /\bi18nKey=\{?\s*['"`]([^'"`]*)$/.exec(prefix);
+
+    let typed = null;
+    if (call && this.finder.config.i18nFunctionNames.includes(call[1].split('.').pop())) {
+      typed = call[2];
+    } else if (attribute) {
+      typed = attribute[1];
+    }
+    if (typed === null) return null;
+
+    const range = {
+      start: { line: params.position.line, character: params.position.character - typed.length },
+      end: params.position,
+    };
+
+    return {
+      isIncomplete: false,
+      items: [...this.defined.definedKeys].sort().map((key) => ({
+        label: key,
+        kind: COMPLETION_KIND_VALUE,
+        detail: String(this.defined.definedValues.get(key)),
+        textEdit: { range, newText: key },
+      })),
+    };
+  }
+
+  /**
+   * "Extract to translation key" for the hardcoded strings in the range. The string is replaced
+   * with a `t()` call, the same rewrite `--fix` makes, and the key is added to the translation file.
+   */
+  async getCodeActions(params) {
+    await this.ready;
+    const { uri } = params.textDocument;
+    const document = this.documents.get(uri);
+    if (!document || document.analysis.error) return [];
+
+    const actions = [];
+    document.analysis.results.forEach((result) => {
+      const range = getValueRange(document.lines, result.line, result.column, result.value);
+      if (!rangesOverlap(range, params.range)) return;
+
+      document.ast = document.ast || this.finder.parseSource(document.text);
+      const definedValues = this.defined ? this.defined.definedValues : new Map();
+      const { key, fix } = this.finder.fixResult(document.ast, document.text, result, this.rootPath, definedValues);
+      if (fix.replaced.length === 0) return;
+
+      const offsets = getLineOffsets(document.text);
+      const edits = fix.edits.map((edit) => ({
+        range: { start: offsetToPosition(offsets, edit.start), end: offsetToPosition(offsets, edit.end) },
+        newText: edit.text,
+      }));
+      const targetPath = this.getTranslationTarget();
+
+      actions.push({
+        title: `Extract "${result.value}" to translation key ${key}`,
+        kind: 'refactor.extract',
+        diagnostics: (params.context?.diagnostics || []).filter((diagnostic) =>
+          diagnostic.source === 'i18n-finder' && rangesOverlap(diagnostic.range, range)),
+        edit: { changes: { [uri]: edits } },
+        ...(targetPath && {
+          command: {
+            title: 'Add translation',
+            command: ADD_TRANSLATION_COMMAND,
+            arguments: [targetPath, key, fix.translations[key]],
+          },
+        }),
+      });
+    });
+
+    return actions;
+  }
+
+  /**
+   * File new keys are written to: the translation file, or the reference locale's file in a directory
+   */
+  getTranslationTarget() {
+    if (!this.translationPath || !this.defined) return null;
+    if (this.defined.files.includes(this.translationPath)) return this.translationPath;
+
+    const locale = this.locale || this.referenceLocale;
+    return this.defined.namespaced
+      ? path.join(this.translationPath, locale, `${this.finder.config.defaultNamespace}.json`)
+      : path.join(this.translationPath, `${locale}.json`);
+  }
+
+  async executeCommand({ command, arguments: args = [] }) {
+    if (command !== ADD_TRANSLATION_COMMAND) {
+      throw new Error(`Unknown command ${command}`);
+    }
+
+    const [targetPath, key, value] = args;
+    this.finder.mergeTranslations(targetPath, { [key]: value });
+    await this.reloadTranslations();
+    return null;
+  }
+
+  /**
+   * Jump from a key in code to its entry in the reference locale's translation file
+   */
+  async getDefinition(params) {
+    await this.ready;
+    const usage = this.getUsageAt(params);
+    if (!usage) return null;
+
+    const locations = usage.matches
+      .map((key) => this.keyLocations.get(key))
+      .filter(Boolean)
+      .map((location) => {
+        const position = toPosition(location.line, location.column - 1);
+        return { uri: pathToFileURL(location.file).href, range: { start: position, end: position } };
+      });
+
+    return locations.length > 0 ? locations : null;
+  }
+}
+
+/**
+ * Start a language server on stdio. Stdout carries the protocol, so console output goes to stderr.
+ */
+export function startLanguageServer(finder, options = {}) {
+  console.log = (...args) => console.error(...args);
+
+  const server = new LanguageServer(finder, options);
+  server.listen(process.stdin, process.stdout);
+  return server;
+}
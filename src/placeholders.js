@@ -0,0 +1,186 @@
+/**
+ * Options accepted by i18next's t() that are not interpolation variables
+ */
+export const I18NEXT_OPTION_NAMES = [
+  'context',
+  'defaultValue',
+  'ns',
+  'lng',
+  'lngs',
+  'fallbackLng',
+  'returnObjects',
+  'returnDetails',
+  'joinArrays',
+  'postProcess',
+  'interpolation',
+  'skipInterpolation',
+  'ordinal',
+  'keyPrefix',
+];
+
+/**
+ * Find the index of the brace closing the one opened just before `index`
+ */
+function skipToClose(text, index) {
+  let depth = 1;
+  while (index < text.length) {
+    if (text[index] === '{') depth++;
+    if (text[index] === '}') {
+      depth--;
+      if (depth === 0) return index + 1;
+    }
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Parse ICU message text until an unmatched `}` or the end, collecting argument names
+ * and the options of plural/select arguments
+ */
+function parseMessage(text, index, found) {
+  while (index < text.length) {
+    const char = text[index];
+
+    // ICU quoting: '' is a literal quote, '{...}' is literal text
+    if (char === "'") {
+      if (text[index + 1] === "'") {
+        index += 2;
+        continue;
+      }
+      if (text[index + 1] === '{' || text[index + 1] === '}') {
+        const close = text.indexOf("'", index + 1);
+        index = close === -1 ? text.length : close + 1;
+        continue;
+      }
+    }
+
+    if (char === '}') return index;
+
+    if (char === '{') {
+      index = parseArgument(text, index + 1, found);
+      continue;
+    }
+
+    index++;
+  }
+
+  return index;
+}
+
+/**
+ * Parse an ICU argument after its opening brace:
+ * `{name}`, `{name, number}`, `{n, plural, one {...} other {...}}`
+ */
+function parseArgument(text, index, found) {
+  const match = /^\s*([A-Za-z0-9_$][\w$.]*)\s*(?:,\s*(\w+)\s*)?/.exec(text.slice(index));
+  if (!match) {
+    return skipToClose(text, index);
+  }
+
+  found.names.add(match[1]);
+  index += match[0].length;
+
+  const type = match[2];
+  if (text[index] === ',' && ['plural', 'select', 'selectordinal'].includes(type)) {
+    const argument = { name: match[1], type, options: [] };
+    found.arguments.push(argument);
+    index++;
+
+    // Options: selector {message} ...
+    let selector = '';
+    while (index < text.length && text[index] !== '}') {
+      if (text[index] === '{') {
+        const option = selector.trim().replace(/^offset:\S+\s*/, '');
+        if (option) argument.options.push(option);
+        selector = '';
+        index = parseMessage(text, index + 1, found) + 1;
+        continue;
+      }
+      selector += text[index];
+      index++;
+    }
+    return index + 1;
+  }
+
+  return skipToClose(text, index);
+}
+
+/**
+ * Get the interpolation variables used in a translation value.
+ * Understands i18next `{{name}}` / `{{name, format}}` and ICU `{name}` / `{n, plural, ...}`.
+ */
+export function parsePlaceholders(message) {
+  const names = new Set();
+  if (typeof message !== 'string') return names;
+
+  // i18next interpolation, including unescaped {{- name}} and formats {{date, short}}
+  const i18nextPattern = /\{\{\s*-?\s*([^{}\s,]+)\s*(?:,[^{}]*)?\}\}/g;
+  let match;
+  while ((match = i18nextPattern.exec(message)) !== null) {
+    names.add(match[1]);
+  }
+
+  parseMessage(message.replace(/\{\{[^{}]*\}\}/g, ''), 0, { names, arguments: [] });
+
+  return names;
+}
+
+/**
+ * Get the ICU plural, selectordinal and select arguments of a translation value
+ * with their option selectors, e.g. `{ name: 'n', type: 'plural', options: ['one', 'other'] }`
+ */
+export function parseIcuArguments(message) {
+  const found = { names: new Set(), arguments: [] };
+  if (typeof message !== 'string') return found.arguments;
+
+  parseMessage(message.replace(/\{\{[^{}]*\}\}/g, ''), 0, found);
+
+  return found.arguments;
+}
+
+/**
+ * Levenshtein distance, used to tell misspelled variables from missing ones
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : Math.min(diagonal, previous[j - 1], previous[j]) + 1;
+      diagonal = current;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Compare the placeholders of a translation against the expected ones.
+ * Extra variables that look like a typo of a missing one are reported as misspelled.
+ */
+export function comparePlaceholders(expected, actual) {
+  const missing = [...expected].filter((name) => !actual.has(name));
+  const extra = [...actual].filter((name) => !expected.has(name));
+  const misspelled = [];
+
+  extra.slice().forEach((found) => {
+    const candidate = missing.find((name) =>
+      name.toLowerCase() === found.toLowerCase() ||
+      editDistance(name, found) <= Math.min(2, Math.floor(name.length / 2))
+    );
+
+    if (candidate) {
+      misspelled.push({ expected: candidate, found });
+      missing.splice(missing.indexOf(candidate), 1);
+      extra.splice(extra.indexOf(found), 1);
+    }
+  });
+
+  return { missing, extra, misspelled };
+}
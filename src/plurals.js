@@ -0,0 +1,135 @@
+import path from 'path';
+import { parseIcuArguments } from './placeholders.js';
+
+/**
+ * CLDR plural categories in canonical order
+ */
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const PLURAL_KEY_PATTERN = /^(.+?)_(ordinal_)?(zero|one|two|few|many|other)$/;
+
+/**
+ * Split an i18next plural key like `items_one` or `place_ordinal_few` into its parts
+ */
+export function parsePluralKey(key) {
+  const match = PLURAL_KEY_PATTERN.exec(key);
+  if (!match) return null;
+
+  return { base: match[1], ordinal: Boolean(match[2]), category: match[3] };
+}
+
+/**
+ * Build the i18next key for a plural form
+ */
+export function getPluralKey(base, category, ordinal = false) {
+  return `${base}_${ordinal ? 'ordinal_' : ''}${category}`;
+}
+
+/**
+ * Get the CLDR plural categories a locale needs (`Intl.PluralRules`)
+ */
+export function getPluralCategories(locale, ordinal = false) {
+  try {
+    const rules = new Intl.PluralRules(locale.replace(/_/g, '-'), {
+      type: ordinal ? 'ordinal' : 'cardinal',
+    });
+    const categories = rules.resolvedOptions().pluralCategories;
+    return PLURAL_CATEGORIES.filter((category) => categories.includes(category));
+  } catch {
+    return ['one', 'other'];
+  }
+}
+
+/**
+ * Group plural keys by base key: base -> { cardinal: Set, ordinal: Set }.
+ * A base only counts as plural when it has an `other` form or several forms,
+ * so keys like `step_one` on their own are left alone.
+ */
+export function getPluralGroups(keys) {
+  const groups = new Map();
+
+  for (const key of keys) {
+    const plural = parsePluralKey(key);
+    if (!plural) continue;
+
+    if (!groups.has(plural.base)) {
+      groups.set(plural.base, { cardinal: new Set(), ordinal: new Set() });
+    }
+    groups.get(plural.base)[plural.ordinal ? 'ordinal' : 'cardinal'].add(plural.category);
+  }
+
+  groups.forEach((group, base) => {
+    const forms = [...group.cardinal, ...group.ordinal];
+    if (forms.length < 2 && !forms.includes('other')) {
+      groups.delete(base);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Find the plural forms a locale requires but the translations lack.
+ * Covers i18next suffix keys (`items_one`) and ICU `{n, plural, ...}` values.
+ */
+export function findMissingPluralForms(values, locale, groups = getPluralGroups(values.keys())) {
+  const missing = [];
+
+  groups.forEach((group, base) => {
+    [false, true].forEach((ordinal) => {
+      const present = ordinal ? group.ordinal : group.cardinal;
+      if (present.size === 0) return;
+
+      getPluralCategories(locale, ordinal).forEach((category) => {
+        if (!present.has(category)) {
+          missing.push({ key: getPluralKey(base, category, ordinal), form: category, type: 'suffix' });
+        }
+      });
+    });
+  });
+
+  values.forEach((value, key) => {
+    parseIcuArguments(value).forEach((argument) => {
+      if (argument.type === 'select') return;
+
+      getPluralCategories(locale, argument.type === 'selectordinal').forEach((category) => {
+        // Exact matches like `=1 {...}` cover the category they stand for
+        const exact = { zero: '=0', one: '=1', two: '=2' }[category];
+        if (!argument.options.includes(category) && !argument.options.includes(exact)) {
+          missing.push({ key, form: category, type: 'icu', argument: argument.name });
+        }
+      });
+    });
+  });
+
+  return missing;
+}
+
+/**
+ * Check if a file or directory name is a locale with plural rules, so namespaces like `app` or `nav`
+ * aren't taken for one. Aliases that canonicalize to another language (`cat` to `ca`) don't count.
+ */
+function isKnownLocale(name) {
+  if (!/^[a-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/.test(name)) return false;
+
+  try {
+    const [canonical] = Intl.getCanonicalLocales(name.replace(/_/g, '-'));
+    return canonical.split('-')[0] === name.split(/[-_]/)[0] &&
+      Intl.PluralRules.supportedLocalesOf(canonical, { localeMatcher: 'lookup' }).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Guess the locale of a translation file from `en/common.json` or `en.json`
+ */
+export function getLocaleFromPath(filePath) {
+  const dirName = path.basename(path.dirname(filePath));
+  if (isKnownLocale(dirName)) return dirName;
+
+  const fileName = path.basename(filePath, '.json');
+  if (isKnownLocale(fileName)) return fileName;
+
+  return null;
+}
@@ -0,0 +1,56 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+/**
+ * Analyze files on a pool of worker threads.
+ * Resolves to the analyses in the same order as `tasks`, however the work was interleaved.
+ */
+export function analyzeInWorkers(tasks, { config, concurrency }) {
+  return new Promise((resolve, reject) => {
+    const analyses = new Array(tasks.length);
+    const workers = [];
+    let next = 0;
+    let done = 0;
+    let failed = false;
+
+    const finish = (error) => {
+      if (failed) return;
+      if (error) failed = true;
+      workers.forEach((worker) => worker.terminate());
+      if (error) reject(error);
+      else resolve(analyses);
+    };
+
+    const dispatch = (worker) => {
+      if (next >= tasks.length) return;
+      const index = next++;
+      worker.postMessage({ index, ...tasks[index] });
+    };
+
+    for (let i = 0; i < Math.min(concurrency, tasks.length); i++) {
+      const worker = new Worker(WORKER_URL, { workerData: { config } });
+
+      worker.on('message', ({ index, analysis }) => {
+        analyses[index] = analysis;
+        done++;
+        if (done === tasks.length) {
+          finish();
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', finish);
+      worker.on('exit', (code) => {
+        if (code !== 0 && done < tasks.length) {
+          finish(new Error(`Worker stopped with exit code ${code}`));
+        }
+      });
+
+      workers.push(worker);
+      dispatch(worker);
+    }
+
+    if (tasks.length === 0) finish();
+  });
+}
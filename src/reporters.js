@@ -0,0 +1,381 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { RULES } from './findings.js';
+import { createSarifLog } from './sarif.js';
+import { PACKAGE_VERSION } from './version.js';
+
+/**
+ * Findings listed in the Markdown summary; the rest are counted
+ */
+const MARKDOWN_MAX_FINDINGS = 50;
+
+/**
+ * Source lines shown before and after a finding in the HTML report
+ */
+const EXCERPT_CONTEXT_LINES = 2;
+
+const MODE_TITLES = {
+  scan: 'Hardcoded strings',
+  validate: 'Translation key validation',
+  duplicates: 'Duplicate translations',
+};
+
+/**
+ * Path of a finding relative to the working directory, with `/` separators on every OS
+ */
+function getDisplayPath(file) {
+  return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+}
+
+function formatLocation(finding) {
+  const file = getDisplayPath(finding.file);
+  if (!finding.line) return file;
+  return finding.column ? `${file}:${finding.line}:${finding.column}` : `${file}:${finding.line}`;
+}
+
+/**
+ * Count findings per level, in `error`, `warning`, `note` order
+ */
+function countByLevel(findings) {
+  const counts = { error: 0, warning: 0, note: 0 };
+  findings.forEach((finding) => {
+    counts[finding.level] += 1;
+  });
+  return counts;
+}
+
+/**
+ * Group findings by file, keeping the order in which files first appear
+ */
+function groupByFile(findings) {
+  const groups = new Map();
+  findings.forEach((finding) => {
+    const file = getDisplayPath(finding.file);
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(finding);
+  });
+  return groups;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML: one test suite per file and one test case per finding. Errors and warnings fail;
+ * notes pass. A clean run has a single passing test case so CI still shows the check.
+ */
+function renderJunit({ mode, findings }) {
+  const suiteName = `i18n-finder ${mode}`;
+  const failing = findings.filter((finding) => finding.level !== 'note');
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  lines.push(`<testsuites name="${escapeXml(suiteName)}" tests="${Math.max(findings.length, 1)}" failures="${failing.length}">`);
+
+  if (findings.length === 0) {
+    lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="1" failures="0">`);
+    lines.push(`    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(`No ${MODE_TITLES[mode].toLowerCase()} found`)}"/>`);
+    lines.push('  </testsuite>');
+  }
+
+  groupByFile(findings).forEach((fileFindings, file) => {
+    const failures = fileFindings.filter((finding) => finding.level !== 'note').length;
+    lines.push(`  <testsuite name="${escapeXml(file)}" tests="${fileFindings.length}" failures="${failures}">`);
+
+    fileFindings.forEach((finding) => {
+      const name = `${finding.ruleId}${finding.line ? ` (line ${finding.line})` : ''}: ${finding.message}`;
+      const testcase = `    <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}"`;
+
+      if (finding.level === 'note') {
+        lines.push(`${testcase}/>`);
+        return;
+      }
+      lines.push(`${testcase}>`);
+      lines.push(`      <failure type="${escapeXml(finding.ruleId)}" message="${escapeXml(finding.message)}">` +
+        `${escapeXml(`${formatLocation(finding)} ${finding.message}`)}</failure>`);
+      lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdownCell(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/[<>]/g, (char) => (char === '<' ? '&lt;' : '&gt;'))
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Markdown summary for a pull request comment: totals, a table per rule and the first findings
+ */
+function renderMarkdown({ mode, findings }) {
+  const lines = [`## i18n-finder: ${MODE_TITLES[mode]}`, ''];
+
+  if (findings.length === 0) {
+    lines.push('✅ No findings.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  const levels = countByLevel(findings);
+  const files = groupByFile(findings).size;
+  lines.push(`**${findings.length} finding${findings.length === 1 ? '' : 's'}** in ${files} file${files === 1 ? '' : 's'} ` +
+    `(${levels.error} errors, ${levels.warning} warnings, ${levels.note} notes)`);
+  lines.push('');
+
+  lines.push('| Rule | Level | Count |');
+  lines.push('| --- | --- | ---: |');
+  RULES.forEach((rule) => {
+    const count = findings.filter((finding) => finding.ruleId === rule.id).length;
+    if (count > 0) {
+      lines.push(`| \`${rule.id}\` | ${rule.level} | ${count} |`);
+    }
+  });
+  lines.push('');
+
+  lines.push('<details>');
+  lines.push('<summary>Findings</summary>');
+  lines.push('');
+  lines.push('| Location | Rule | Message |');
+  lines.push('| --- | --- | --- |');
+  findings.slice(0, MARKDOWN_MAX_FINDINGS).forEach((finding) => {
+    lines.push(`| ${escapeMarkdownCell(formatLocation(finding))} | \`${finding.ruleId}\` | ${escapeMarkdownCell(finding.message)} |`);
+  });
+  if (findings.length > MARKDOWN_MAX_FINDINGS) {
+    lines.push('');
+    lines.push(`_... and ${findings.length - MARKDOWN_MAX_FINDINGS} more_`);
+  }
+  lines.push('');
+  lines.push('</details>');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Lines around a finding, read once per file. Null when the file can't be read or the finding has no line.
+ */
+function getExcerpt(finding, sources) {
+  if (!finding.line) return null;
+
+  if (!sources.has(finding.file)) {
+    try {
+      sources.set(finding.file, fs.readFileSync(finding.file, 'utf-8').split(/\r?\n/));
+    } catch {
+      sources.set(finding.file, null);
+    }
+  }
+
+  const lines = sources.get(finding.file);
+  if (!lines || finding.line > lines.length) return null;
+
+  const startLine = Math.max(1, finding.line - EXCERPT_CONTEXT_LINES);
+  const endLine = Math.min(lines.length, finding.line + EXCERPT_CONTEXT_LINES);
+  return { startLine, lines: lines.slice(startLine - 1, endLine) };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+  body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { padding: 16px 24px; background: #fff; border-bottom: 1px solid #d0d7de; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #57606a; }
+  .filters { display: flex; flex-wrap: wrap; gap: 8px; padding: 12px 24px; background: #fff; border-bottom: 1px solid #d0d7de; position: sticky; top: 0; }
+  .filters select, .filters input { font: inherit; padding: 4px 8px; border: 1px solid #d0d7de; border-radius: 6px; }
+  .filters input { flex: 1; min-width: 200px; }
+  main { padding: 16px 24px; }
+  .finding { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 12px; overflow: hidden; }
+  .finding-header { padding: 8px 12px; display: flex; gap: 8px; align-items: baseline; flex-wrap: wrap; }
+  .level { font-size: 12px; font-weight: 600; padding: 0 6px; border-radius: 10px; color: #fff; }
+  .level-error { background: #cf222e; }
+  .level-warning { background: #9a6700; }
+  .level-note { background: #57606a; }
+  .type { color: #57606a; font-size: 12px; }
+  .location { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; color: #0969da; }
+  .message { width: 100%; }
+  pre { margin: 0; padding: 8px 0; background: #f6f8fa; border-top: 1px solid #d0d7de; overflow-x: auto; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  pre div { padding: 0 12px; white-space: pre; }
+  pre div.current { background: #fff8c5; }
+  pre span { display: inline-block; width: 48px; color: #8c959f; user-select: none; }
+  .empty { color: #57606a; }
+`;
+
+const HTML_SCRIPT = `
+  const data = JSON.parse(document.getElementById('report-data').textContent);
+  const typeFilter = document.getElementById('type-filter');
+  const fileFilter = document.getElementById('file-filter');
+  const search = document.getElementById('search');
+  const list = document.getElementById('findings');
+  const count = document.getElementById('count');
+
+  function addOptions(select, values) {
+    [...new Set(values)].sort().forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+  }
+
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function renderFinding(finding) {
+    const item = element('section', 'finding');
+    const header = element('div', 'finding-header');
+    header.appendChild(element('span', 'level level-' + finding.level, finding.level));
+    header.appendChild(element('span', 'location', finding.location));
+    header.appendChild(element('span', 'type', finding.type));
+    header.appendChild(element('div', 'message', finding.message));
+    item.appendChild(header);
+
+    if (finding.excerpt) {
+      const pre = element('pre');
+      finding.excerpt.lines.forEach((line, index) => {
+        const lineNumber = finding.excerpt.startLine + index;
+        const row = element('div', lineNumber === finding.line ? 'current' : '');
+        row.appendChild(element('span', '', String(lineNumber)));
+        row.appendChild(document.createTextNode(line));
+        pre.appendChild(row);
+      });
+      item.appendChild(pre);
+    }
+    return item;
+  }
+
+  function render() {
+    const query = search.value.trim().toLowerCase();
+    const visible = data.findings.filter((finding) =>
+      (!typeFilter.value || finding.type === typeFilter.value) &&
+      (!fileFilter.value || finding.path === fileFilter.value) &&
+      (!query || finding.message.toLowerCase().includes(query) || finding.location.toLowerCase().includes(query)));
+
+    list.replaceChildren(...visible.map(renderFinding));
+    if (visible.length === 0) {
+      list.appendChild(element('p', 'empty', 'No findings match the filters.'));
+    }
+    count.textContent = visible.length + ' of ' + data.findings.length + ' findings';
+  }
+
+  addOptions(typeFilter, data.findings.map((finding) => finding.type));
+  addOptions(fileFilter, data.findings.map((finding) => finding.path));
+  [typeFilter, fileFilter].forEach((select) => select.addEventListener('change', render));
+  search.addEventListener('input', render);
+  render();
+`;
+
+/**
+ * Standalone HTML report with type, file and text filters and the source lines around each finding.
+ * Findings are embedded as JSON and rendered as text, so strings from the code are never parsed as HTML.
+ */
+function renderHtml({ mode, findings, timestamp }) {
+  const sources = new Map();
+  const data = {
+    findings: findings.map((finding) => ({
+      ruleId: finding.ruleId,
+      level: finding.level,
+      type: finding.type,
+      message: finding.message,
+      path: getDisplayPath(finding.file),
+      location: formatLocation(finding),
+      line: finding.line,
+      excerpt: getExcerpt(finding, sources),
+    })),
+  };
+  const levels = countByLevel(findings);
+  const title = `i18n-finder: ${MODE_TITLES[mode]}`;
+
+  // `<` is escaped so a string like "</script>" in the code can't end the data block
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${findings.length} findings (${levels.error} errors, ${levels.warning} warnings, ${levels.note} notes) · ${escapeHtml(timestamp)} · i18n-fixer ${escapeHtml(PACKAGE_VERSION)}</div>
+</header>
+<div class="filters">
+  <select id="type-filter" aria-label="Type"><option value="">All types</option></select>
+  <select id="file-filter" aria-label="File"><option value="">All files</option></select>
+  <input id="search" type="search" placeholder="Search messages and paths" aria-label="Search">
+  <span id="count" class="meta"></span>
+</div>
+<main id="findings"></main>
+<script type="application/json" id="report-data">${json}</script>
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Built-in reporters. A reporter renders `{ mode, findings, result, timestamp }` to the file contents;
+ * `extension` names the default output file.
+ */
+export const REPORTERS = {
+  sarif: {
+    extension: '.sarif',
+    render: ({ findings }) => JSON.stringify(createSarifLog(findings), null, 2),
+  },
+  junit: { extension: '.xml', render: renderJunit },
+  markdown: { extension: '.md', render: renderMarkdown },
+  html: { extension: '.html', render: renderHtml },
+};
+
+/**
+ * Get a built-in reporter by name, or load a custom one from a module path.
+ * A custom module exports `render` (and optionally `extension`) by name or as its default export.
+ */
+export async function loadReporter(nameOrPath) {
+  if (Object.prototype.hasOwnProperty.call(REPORTERS, nameOrPath)) {
+    return { name: nameOrPath, ...REPORTERS[nameOrPath] };
+  }
+
+  const modulePath = path.resolve(nameOrPath);
+  if (!fs.existsSync(modulePath)) {
+    throw new Error(`Unknown reporter "${nameOrPath}" (expected json, ${Object.keys(REPORTERS).join(', ')} or a module path)`);
+  }
+
+  const module = await import(pathToFileURL(modulePath).href);
+  const reporter = typeof module.render === 'function' ? module : module.default;
+  if (!reporter || typeof reporter.render !== 'function') {
+    throw new Error(`Reporter ${nameOrPath} does not export a render() function`);
+  }
+
+  return {
+    name: path.basename(nameOrPath),
+    extension: reporter.extension || '.txt',
+    render: reporter.render,
+  };
+}
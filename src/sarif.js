@@ -0,0 +1,62 @@
+import path from 'path';
+import { RULES } from './findings.js';
+import { PACKAGE_VERSION } from './version.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * SARIF location of a finding or related location
+ */
+function createLocation({ file, line, column }) {
+  const region = line ? { startLine: line } : undefined;
+  if (region && column) {
+    region.startColumn = column;
+  }
+
+  return {
+    physicalLocation: {
+      artifactLocation: {
+        uri: path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/'),
+      },
+      ...(region && { region }),
+    },
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log from findings. Paths are relative to the working directory,
+ * which is the repository root when uploaded to GitHub code scanning.
+ */
+export function createSarifLog(findings) {
+  const results = findings.map((finding) => ({
+    ruleId: finding.ruleId,
+    ruleIndex: RULES.findIndex((rule) => rule.id === finding.ruleId),
+    level: finding.level,
+    message: { text: finding.message },
+    locations: [createLocation(finding)],
+    ...(finding.related && {
+      relatedLocations: [{ id: 0, ...createLocation(finding.related), message: { text: finding.related.message } }],
+    }),
+    ...(finding.fingerprint && { partialFingerprints: { 'i18nFinder/v1': finding.fingerprint } }),
+  }));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'i18n-fixer',
+          version: PACKAGE_VERSION,
+          informationUri: 'https://github.com/SilentDebugger/i18n-fixer',
+          rules: RULES.map((rule) => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.level },
+          })),
+        },
+      },
+      results,
+    }],
+  };
+}
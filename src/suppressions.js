@@ -0,0 +1,72 @@
+/**
+ * Suppression comment, with an optional reason after `--`:
+ * `// i18n-ignore-next-line -- brand name`
+ */
+const DIRECTIVE_PATTERN = /^(i18n-(?:ignore-next-line|ignore-file|ignore|disable|enable))\b\s*(?:--\s*(.*))?$/;
+
+/**
+ * Read the suppression directives from a file's comments (`ast.comments`).
+ * Each covers a line range; `i18n-ignore` covers its own line and the next, for `{/* i18n-ignore *\/}` in JSX.
+ * An `i18n-disable` without a matching `i18n-enable` runs to the end of the file.
+ */
+export function getSuppressions(comments = []) {
+  const suppressions = [];
+  let openDisable = null;
+
+  comments.forEach((comment) => {
+    const text = comment.value
+      .split('\n')
+      .map((line) => line.replace(/^\s*\*?\s?/, ''))
+      .join(' ')
+      .trim();
+    const match = DIRECTIVE_PATTERN.exec(text);
+    if (!match) return;
+
+    const [, directive, reason] = match;
+    const { line, column } = comment.loc.start;
+    const endLine = comment.loc.end.line;
+    const suppression = { directive, line, column, reason: reason ? reason.trim() : null };
+
+    if (directive === 'i18n-ignore-next-line') {
+      suppressions.push({ ...suppression, startLine: endLine + 1, endLine: endLine + 1 });
+    } else if (directive === 'i18n-ignore') {
+      suppressions.push({ ...suppression, startLine: line, endLine: endLine + 1 });
+    } else if (directive === 'i18n-ignore-file') {
+      suppressions.push({ ...suppression, startLine: 1, endLine: Infinity });
+    } else if (directive === 'i18n-disable') {
+      if (!openDisable) {
+        openDisable = { ...suppression, startLine: line, endLine: Infinity };
+        suppressions.push(openDisable);
+      }
+    } else if (openDisable) {
+      openDisable.endLine = line;
+      openDisable = null;
+    }
+  });
+
+  return suppressions;
+}
+
+/**
+ * Drop the results covered by a suppression. Returns the remaining results and the suppressions
+ * that didn't cover any result.
+ */
+export function applySuppressions(results, suppressions) {
+  if (suppressions.length === 0) {
+    return { results, unusedSuppressions: [] };
+  }
+
+  const used = new Set();
+  const remaining = results.filter((result) => {
+    const matching = suppressions.filter((suppression) =>
+      result.line >= suppression.startLine && result.line <= suppression.endLine);
+    matching.forEach((suppression) => used.add(suppression));
+    return matching.length === 0;
+  });
+
+  const unusedSuppressions = suppressions
+    .filter((suppression) => !used.has(suppression))
+    .map(({ directive, line, column, reason }) => ({ directive, line, column, reason }));
+
+  return { results: remaining, unusedSuppressions };
+}
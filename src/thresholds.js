@@ -0,0 +1,126 @@
+/**
+ * Exit codes, one per failure condition. When several conditions fail, the lowest code is used.
+ */
+export const EXIT_CODES = {
+  success: 0,
+  hardcoded: 1,
+  error: 2,
+  missing: 3,
+  unused: 4,
+  duplicates: 5,
+  untranslated: 6,
+  typeLimit: 7,
+  placeholders: 8,
+  suppressions: 9,
+  a11y: 10,
+};
+
+/**
+ * Findings that fail the run when listed in `--fail-on`
+ */
+export const FAIL_ON_CONDITIONS = ['missing', 'unused', 'duplicates', 'untranslated', 'placeholders'];
+
+const CONDITION_LABELS = {
+  missing: 'missing keys',
+  unused: 'unused keys',
+  duplicates: 'duplicate keys',
+  untranslated: 'untranslated keys',
+  placeholders: 'placeholder mismatches',
+  suppressions: 'unused suppression comments',
+  a11y: 'hardcoded screen-reader strings at level error',
+};
+
+/**
+ * Levels of an `a11yAttributes` entry
+ */
+export const A11Y_LEVELS = ['error', 'warn', 'ignore'];
+
+/**
+ * Parse `--fail-on` values: comma-separated strings, arrays, or both
+ */
+export function parseFailOn(values) {
+  const conditions = [].concat(values || [])
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  const unknown = conditions.filter((condition) => !FAIL_ON_CONDITIONS.includes(condition));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown --fail-on condition(s): ${unknown.join(', ')} (expected ${FAIL_ON_CONDITIONS.join(', ')})`);
+  }
+
+  return [...new Set(conditions)];
+}
+
+/**
+ * Check the levels of the `a11yAttributes` config, like `{ "alt": "error" }`
+ */
+export function parseA11yLevels(levels = {}) {
+  const invalid = Object.entries(levels).filter(([, level]) => !A11Y_LEVELS.includes(level));
+  if (invalid.length > 0) {
+    const list = invalid.map(([name, level]) => `${name}=${level}`).join(', ');
+    throw new Error(`Invalid a11yAttributes level(s): ${list} (expected ${A11Y_LEVELS.join(', ')})`);
+  }
+
+  return levels;
+}
+
+/**
+ * Parse `--max-type` values like `"JSX Text=0"` into `{ 'JSX Text': 0 }`
+ */
+export function parseTypeLimits(values) {
+  const limits = {};
+
+  [].concat(values || []).forEach((value) => {
+    const match = /^(.+?)=(\d+)$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`Invalid --max-type "${value}" (expected "<type>=<count>", e.g. "JSX Text=0")`);
+    }
+    limits[match[1].trim()] = Number(match[2]);
+  });
+
+  return limits;
+}
+
+/**
+ * Check finding counts against the thresholds.
+ * `counts` holds whatever the mode produced: `hardcoded`, `byType`, and the `FAIL_ON_CONDITIONS`.
+ * Returns the failures ordered by exit code.
+ */
+export function evaluateThresholds(counts, thresholds) {
+  const { maxHardcoded = null, maxByType = {}, failOn = [] } = thresholds;
+  const failures = [];
+
+  if (counts.hardcoded !== undefined && maxHardcoded !== null && counts.hardcoded > maxHardcoded) {
+    failures.push({
+      condition: 'hardcoded',
+      code: EXIT_CODES.hardcoded,
+      message: `${counts.hardcoded} hardcoded strings (max ${maxHardcoded})`,
+    });
+  }
+
+  if (counts.byType) {
+    Object.entries(maxByType).forEach(([type, limit]) => {
+      const count = counts.byType[type] || 0;
+      if (count > limit) {
+        failures.push({
+          condition: 'typeLimit',
+          code: EXIT_CODES.typeLimit,
+          message: `${count} "${type}" strings (max ${limit})`,
+        });
+      }
+    });
+  }
+
+  failOn.forEach((condition) => {
+    if (counts[condition] > 0) {
+      failures.push({
+        condition,
+        code: EXIT_CODES[condition],
+        message: `${counts[condition]} ${CONDITION_LABELS[condition]}`,
+      });
+    }
+  });
+
+  return failures.sort((a, b) => a.code - b.code);
+}
@@ -0,0 +1,82 @@
+import * as t from '@babel/types';
+
+/**
+ * HTML elements react-i18next keeps by name instead of index (`transKeepBasicHtmlNodesFor`)
+ */
+const BASIC_HTML_NODES = ['br', 'strong', 'i', 'p'];
+
+/**
+ * Collapse JSX text whitespace the way React does: lines are trimmed and joined with a space,
+ * and whitespace-only text spanning lines disappears
+ */
+export function cleanJSXText(value) {
+  const lines = value.split(/\r\n|\n|\r/);
+  const lastNonEmptyLine = lines.reduce((last, line, index) => (/[^ \t]/.test(line) ? index : last), -1);
+
+  return lines.reduce((text, line, index) => {
+    let trimmed = line.replace(/\t/g, ' ');
+    if (index !== 0) trimmed = trimmed.replace(/^[ ]+/, '');
+    if (index !== lines.length - 1) trimmed = trimmed.replace(/[ ]+$/, '');
+    if (!trimmed) return text;
+
+    return text + trimmed + (index !== lastNonEmptyLine ? ' ' : '');
+  }, '');
+}
+
+/**
+ * Get the children of a JSX element as React passes them: cleaned text, elements and expressions
+ */
+function getChildren(node) {
+  return node.children.filter((child) => {
+    if (t.isJSXText(child)) return cleanJSXText(child.value) !== '';
+    if (t.isJSXExpressionContainer(child)) return !t.isJSXEmptyExpression(child.expression);
+    return true;
+  });
+}
+
+/**
+ * Serialize `{{ name }}` / `{{ date, format: 'short' }}` interpolation objects
+ */
+function serializeInterpolation(node) {
+  const properties = node.properties.filter((prop) => t.isObjectProperty(prop) && !prop.computed);
+  const format = properties.find((prop) => t.isIdentifier(prop.key, { name: 'format' }));
+  const value = properties.find((prop) => prop !== format);
+  if (!value) return '';
+
+  const name = t.isIdentifier(value.key) ? value.key.name : value.key.value;
+  return format && t.isStringLiteral(format.value) ? `{{${name}, ${format.value.value}}}` : `{{${name}}}`;
+}
+
+/**
+ * Serialize the children of a `<Trans>` element into i18next's default value format,
+ * e.g. `Hello <1>{{name}}</1>, you have <3>messages</3>`
+ */
+export function serializeTransChildren(node) {
+  return getChildren(node).map((child, index) => {
+    if (t.isJSXText(child)) return cleanJSXText(child.value);
+
+    if (t.isJSXExpressionContainer(child)) {
+      const expression = child.expression;
+      if (t.isStringLiteral(expression)) return expression.value;
+      if (t.isTemplateLiteral(expression) && expression.expressions.length === 0) {
+        return expression.quasis[0].value.cooked;
+      }
+      if (t.isObjectExpression(expression)) return serializeInterpolation(expression);
+      return '';
+    }
+
+    const children = getChildren(child);
+    const name = t.isJSXElement(child) && t.isJSXIdentifier(child.openingElement.name)
+      ? child.openingElement.name.name
+      : null;
+    const keepName = BASIC_HTML_NODES.includes(name) && child.openingElement.attributes.length === 0;
+
+    if (children.length === 0) {
+      return keepName ? `<${name}/>` : `<${index}></${index}>`;
+    }
+    if (keepName && children.length === 1 && t.isJSXText(children[0])) {
+      return `<${name}>${cleanJSXText(children[0].value)}</${name}>`;
+    }
+    return `<${index}>${serializeTransChildren(child)}</${index}>`;
+  }).join('');
+}
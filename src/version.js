@@ -0,0 +1,15 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Version of the scanner from package.json
+ */
+export const PACKAGE_VERSION = (() => {
+  try {
+    const packagePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'package.json');
+    return JSON.parse(fs.readFileSync(packagePath, 'utf-8')).version;
+  } catch {
+    return 'unknown';
+  }
+})();
@@ -0,0 +1,9 @@
+import { parentPort, workerData } from 'worker_threads';
+import { I18nStringFinder } from './index.js';
+
+// Analyzes the files sent by the pool in src/pool.js
+const finder = new I18nStringFinder(workerData.config);
+
+parentPort.on('message', ({ index, filePath, content }) => {
+  parentPort.postMessage({ index, analysis: finder.analyzeSource(filePath, content) });
+});